@@ -1,6 +1,9 @@
 require 'sinatra'
 require 'sinatra-websocket'
 require 'json'
+require 'digest'
+require 'fileutils'
+require 'securerandom'
 
 set :server, 'thin'
 set :sockets, []
@@ -35,31 +38,755 @@ set :static, true
 
 # Routes will be handled by the main WebSocket route below
 
+# Step counts - each track loops over its own length (polymeter)
+DEFAULT_TRACK_LENGTH = 16
+MAX_TRACK_LENGTH = 64
+
+# Steps hold false (off) or a velocity from 0 to 1
+DEFAULT_VELOCITY = 1.0
+MIN_VELOCITY = 0.05
+
+# Per-step fields of a track, each an array as long as the track, and the value of an empty step
+STEP_FIELDS = { pattern: false, conditions: nil, ratchets: nil, locks: nil, notes: nil }.freeze
+
+# Trig conditions: play on the Nth of every M loops, the first loop only, or with FILL held/released
+TRIG_RULE_FORMAT = /\A(first|fill|!fill|[1-8]:[1-8])\z/
+
+# Ratchets retrigger a step up to 8 times, optionally ramping the velocity
+MAX_RATCHETS = 8
+RATCHET_RAMPS = %w[none up down].freeze
+
+# Track params a step can override with a parameter lock
+LOCKABLE_PARAMS = %w[pitch decay distortion delay chorus cutoff resonance filter_env].freeze
+
+# Melodic steps: a MIDI note that can tie into the previous note or slide (glide) to it
+MIN_NOTE = 24
+MAX_NOTE = 96
+
+# Starting melodies for the arp (Cmaj7 / Fmaj7) and bass as MIDI note numbers
+DEFAULT_ARP_NOTES = [60, 64, 67, 71, 72, 71, 67, 64, 65, 69, 72, 76, 77, 76, 72, 69].freeze
+DEFAULT_BASS_NOTES = [36, 36, 40, 43, 36, 36, 43, 40, 41, 41, 45, 48, 41, 41, 48, 45].freeze
+
+# Harmony for the melodic tracks - notes are written in C major and played in this
+# key and scale, shifted to each bar's chord
+SCALE_NAMES = %w[major minor dorian phrygian lydian mixolydian harmonic_minor
+                 major_pentatonic minor_pentatonic blues].freeze
+CHORD_NUMERALS = %w[I II III IV V VI VII].freeze
+MAX_PROGRESSION_LENGTH = 16
+
+# Bulk edits a track (or every track) takes in one message - see transform_track
+TRANSFORMS = %w[shift reverse invert double halve randomize].freeze
+
+# Edit history. These messages are recorded (as before/after values of whatever they
+# changed) so their author can undo them without touching anyone else's later edits.
+HISTORY_MESSAGES = %w[toggle_step set_velocity set_condition set_lock set_note set_ratchet update_params
+                      set_track_length set_track_pattern transform_pattern paste_pattern set_harmony
+                      set_timing set_master set_returns set_sidechain set_modulation
+                      set_kit clear_pattern].freeze
+MAX_HISTORY = 500
+# Knob and drag edits arrive as a stream - one author's run of them within this many
+# seconds undoes as a single step
+COALESCED_MESSAGES = %w[update_params set_velocity set_lock set_harmony set_master
+                        set_returns set_sidechain set_modulation].freeze
+COALESCE_SECONDS = 1.5
+# Stands in for a value undo can't reach any more (a removed track, a trimmed step)
+UNREACHABLE = Object.new.freeze
+
+# Pattern bank - slot names and the per-track fields saved in a slot (params stay with the track)
+PATTERN_SLOTS = %w[A B C D E F G H].freeze
+PATTERN_FIELDS = [*STEP_FIELDS.keys, :length].freeze
+
+# Step resolution (a Tone.js note value) and time signature of a pattern. Each slot
+# keeps its own, so patterns in a chain can change feel and meter.
+RESOLUTIONS = %w[8n 16n 32n 8t 16t].freeze
+TIME_SIGNATURES = %w[4/4 3/4 5/4 7/8 6/8].freeze
+DEFAULT_TIMING = { resolution: '16n', time_signature: '4/4' }.freeze
+
+# Live performance controls every audio client plays with. STUTTER and FILL are
+# momentary - held by one client and released when it lets go or disconnects.
+STUTTER_DIVISIONS = %w[8n 16n 32n 8t 16t].freeze
+MOMENTARY_CONTROLS = %i[stutter fill].freeze
+DEFAULT_PERFORMANCE = { swing: 0, stutter: false, stutter_division: '16n', fill: false }.freeze
+
+# Master bus every track plays through - EQ gains, compressor threshold and limiter
+# ceiling in dB, the fader 0-1
+DEFAULT_MASTER = { low: 0, mid: 0, high: 0, threshold: -18, ratio: 4, ceiling: -1, volume: 0.8 }.freeze
+MASTER_RANGES = {
+  low: -12..12, mid: -12..12, high: -12..12, threshold: -60..0, ratio: 1..20, ceiling: -12..0, volume: 0..1
+}.freeze
+
+# Shared reverb and ping-pong delay the tracks' sends feed. Reverb times in seconds,
+# damping and delay filter in Hz, the delay time a note division.
+DELAY_DIVISIONS = %w[4n 8n 8n. 16n 8t 16t].freeze
+DEFAULT_RETURNS = {
+  reverb_size: 0.5, reverb_decay: 2.5, reverb_predelay: 0.01, reverb_damping: 6000,
+  delay_division: '8n', delay_feedback: 0.4, delay_filter: 4000
+}.freeze
+RETURN_RANGES = {
+  reverb_size: 0..1, reverb_decay: 0.5..10, reverb_predelay: 0..0.2, reverb_damping: 500..20_000,
+  delay_feedback: 0..0.9, delay_filter: 200..20_000
+}.freeze
+
+# Sidechain ducking - each hit on the source track (nil for none) dips every track
+# whose `duck` param is on. Attack and release in seconds.
+DEFAULT_SIDECHAIN = { source: 'kick', amount: 0.6, attack: 0.005, release: 0.2 }.freeze
+SIDECHAIN_RANGES = { amount: 0..1, attack: 0.001..0.1, release: 0.02..1 }.freeze
+
+# Global LFOs and the routes from them to track params. An LFO's rate is a note
+# division when it's synced to the transport, `hz` when it runs free. A route moves
+# one param of a track by `amount` (-1..1) of its full swing - see
+# frontend/src/lib/modulation.js for what that is per param.
+LFO_SHAPES = %w[sine triangle square sample_hold].freeze
+LFO_DIVISIONS = %w[4m 2m 1m 2n 4n 8n 16n 8t 16t].freeze
+LFO_RANGES = { hz: 0.05..10 }.freeze
+DEFAULT_LFO = { shape: 'sine', sync: true, division: '1m', hz: 1 }.freeze
+MIN_LFOS = 2
+MAX_LFOS = 4
+MAX_MOD_ROUTES = 16
+MOD_PARAMS = %w[pitch decay cutoff distortion delay chorus volume].freeze
+
+# Track types and their starting params. The sound, controls and colour of each
+# type live in the client's registry (frontend/src/lib/trackTypes.js).
+# `delay` is the echo's wet level; its time is one of DELAY_DIVISIONS, the high-cut in Hz
+TRACK_EFFECTS = {
+  distortion: 0, delay: 0, chorus: 0,
+  delay_division: '8n', delay_feedback: 0.3, delay_cut: 8000, delay_pingpong: false
+}.freeze
+# Every voice's multimode filter - fully open low-pass to start with
+TRACK_FILTER = { filter_type: 'lowpass', cutoff: 20_000, resonance: 1, filter_env: 0 }.freeze
+# Every voice's sends to the reverb and delay returns (0-1), and whether the sidechain ducks it
+TRACK_SENDS = { reverb_send: 0, delay_send: 0, duck: false }.freeze
+TRACK_TYPES = {
+  'kick' => { pitch: 60, decay: 0.3, volume: 0.8, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  # Tuned body (pitch, decay) plus noise wires - snappy balances the two, snap_decay is the wires' length
+  'snare' => {
+    pitch: 200, decay: 0.2, snappy: 0.6, snap_decay: 0.15, volume: 0.7, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS
+  },
+  'hihat' => { pitch: 800, decay: 0.1, volume: 0.6, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  'openhat' => { pitch: 1000, decay: 0.4, volume: 0.5, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  'clap' => { decay: 0.3, volume: 0.6, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  'tom' => { pitch: 140, decay: 0.4, volume: 0.7, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  'rim' => { pitch: 600, decay: 0.05, volume: 0.6, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  'cowbell' => { pitch: 560, decay: 0.3, volume: 0.5, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS },
+  # Plays an uploaded sample - pitch in semitones, start/end trim as 0-1 of its length,
+  # attack/release fades in seconds. `sample` is the file's SHA-256 (see /samples).
+  'sample' => {
+    pitch: 0, start: 0, end: 1, reverse: false, attack: 0.005, release: 0.05, volume: 0.8,
+    sample: nil, sample_name: nil, **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS
+  },
+  # 909-style accent lane - not a voice, it boosts every track on its active steps
+  'accent' => { amount: 0.5 },
+  # Arpeggiates the notes its steps hold - mode (up down updown random played), rate
+  # (a note value), octave range 1-4, gate (0-1 of a hit) and latch
+  'arp' => {
+    volume: 0.3, waveform: 'triangle', octave: 0,
+    arp_mode: 'up', arp_rate: '16n', arp_octaves: 1, arp_gate: 0.5, arp_latch: false,
+    **TRACK_EFFECTS, **TRACK_FILTER, **TRACK_SENDS, duck: true
+  },
+  # 303-style - its own filter (acid_cutoff in Hz, acid_res) swept by env_mod over decay,
+  # and further by accent on steps of the accent lane
+  'bass' => {
+    volume: 0.4, octave: 0, waveform: 'sawtooth', acid_cutoff: 300, acid_res: 4, env_mod: 0.4, decay: 0.3, accent: 0.5,
+    **TRACK_FILTER, **TRACK_SENDS, duck: true
+  }
+}.freeze
+
+# Drum kits. The client builds each kit's synths (frontend/src/lib/kits.js); picking
+# one also sets these sound params on every track of its types. Saved kits are a
+# builtin `base` plus the params they were saved with.
+KIT_PARAMS = {
+  '808' => {
+    'kick' => { pitch: 60, decay: 0.3 },
+    'snare' => { pitch: 200, decay: 0.2, snappy: 0.6, snap_decay: 0.15 },
+    'hihat' => { pitch: 800, decay: 0.1 },
+    'openhat' => { pitch: 1000, decay: 0.4 }
+  },
+  '909' => {
+    'kick' => { pitch: 55, decay: 0.25 },
+    'snare' => { pitch: 240, decay: 0.15, snappy: 0.7, snap_decay: 0.2 },
+    'hihat' => { pitch: 1000, decay: 0.06 },
+    'openhat' => { pitch: 1200, decay: 0.3 }
+  },
+  'lofi' => {
+    'kick' => { pitch: 50, decay: 0.4 },
+    'snare' => { pitch: 180, decay: 0.25, snappy: 0.4, snap_decay: 0.12 },
+    'hihat' => { pitch: 600, decay: 0.08 },
+    'openhat' => { pitch: 700, decay: 0.3 }
+  },
+  'industrial' => {
+    'kick' => { pitch: 45, decay: 0.6 },
+    'snare' => { pitch: 160, decay: 0.3, snappy: 0.8, snap_decay: 0.35 },
+    'hihat' => { pitch: 1400, decay: 0.05 },
+    'openhat' => { pitch: 1600, decay: 0.5 }
+  }
+}.freeze
+DEFAULT_KIT = { name: '808', base: '808' }.freeze
+MAX_CUSTOM_KITS = 16
+MAX_KIT_NAME_LENGTH = 20
+
+# Melodic types start with every step playing these notes
+TRACK_TYPE_NOTES = { 'arp' => DEFAULT_ARP_NOTES, 'bass' => DEFAULT_BASS_NOTES }.freeze
+
+# Uploaded samples, stored by the SHA-256 of their contents so each file is kept
+# (and sent) once however many tracks or rooms use it
+SAMPLE_DIR = File.join(File.dirname(__FILE__), 'samples')
+MAX_SAMPLE_BYTES = 10 * 1024 * 1024
+SAMPLE_MEDIA_TYPES = %w[audio/wav audio/x-wav audio/wave audio/mpeg audio/mp3 audio/ogg application/ogg].freeze
+SAMPLE_HASH_FORMAT = /\A[0-9a-f]{64}\z/
+
+# The accent lane is part of every room and can't be added twice or removed
+FIXED_TRACK_TYPES = %w[accent].freeze
+DEFAULT_TRACK_TYPES = %w[kick snare hihat openhat accent arp bass].freeze
+MAX_TRACKS = 16
+
+# A track of the given type with an empty pattern of the default length
+def new_track(type)
+  track = STEP_FIELDS
+    .to_h { |field, empty| [field, Array.new(DEFAULT_TRACK_LENGTH, empty)] }
+    .merge(type: type, length: DEFAULT_TRACK_LENGTH, params: TRACK_TYPES.fetch(type).dup)
+  notes = TRACK_TYPE_NOTES[type]
+  return track unless notes
+
+  track.merge(
+    pattern: Array.new(notes.length, DEFAULT_VELOCITY),
+    notes: notes.map { |midi| { midi: midi, tie: false, slide: false } }
+  )
+end
+
 # Drum pattern state - shared across all users
 $drum_pattern = {
   bpm: 120,
   playing: false,
   current_step: 0,
-  tracks: {
-    kick: { 
-      pattern: Array.new(16, false),
-      params: { pitch: 60, decay: 0.3, volume: 0.8 }
-    },
-    snare: { 
-      pattern: Array.new(16, false),
-      params: { pitch: 200, decay: 0.2, volume: 0.7 }
-    },
-    hihat: { 
-      pattern: Array.new(16, false),
-      params: { pitch: 800, decay: 0.1, volume: 0.6 }
-    },
-    openhat: { 
-      pattern: Array.new(16, false),
-      params: { pitch: 1000, decay: 0.4, volume: 0.5 }
-    }
+  # Keyed by track id - the type name, or e.g. kick2 for a second kick
+  tracks: DEFAULT_TRACK_TYPES.to_h { |type| [type.to_sym, new_track(type)] },
+  # Key (0 = C ... 11 = B), scale and one chord numeral per bar
+  harmony: { root: 0, scale: 'major', progression: ['I'] },
+  # Resolution and time signature of the live pattern
+  timing: DEFAULT_TIMING.dup,
+  performance: DEFAULT_PERFORMANCE.dup,
+  master: DEFAULT_MASTER.dup,
+  returns: DEFAULT_RETURNS.dup,
+  sidechain: DEFAULT_SIDECHAIN.dup,
+  modulation: { lfos: Array.new(MIN_LFOS) { DEFAULT_LFO.dup }, routes: [] },
+  # The room's drum kit, and the kits its users have saved (by name)
+  kit: DEFAULT_KIT.dup,
+  custom_kits: {},
+  # Saved patterns and song-mode chain. The live pattern in `tracks` belongs to
+  # `current`; an empty (nil) slot loads as a blank pattern.
+  bank: {
+    current: 'A',
+    queued: nil,
+    chain: [],
+    chain_position: 0,
+    slots: PATTERN_SLOTS.to_h { |slot| [slot, nil] },
+    # Timing saved with each slot - clients need it to switch on their own at the bar line
+    timings: PATTERN_SLOTS.to_h { |slot| [slot, DEFAULT_TIMING.dup] }
   }
 }
 
+# Momentary control -> the socket holding it down
+$held_controls = {}
+
+# Recorded edits, oldest first, and each connected socket's author id
+$history = []
+$next_history_id = 1
+$client_ids = {}
+
+helpers do
+  # Send a message to every connected client
+  def broadcast(type, data)
+    message = JSON.generate({ type: type, data: data })
+    settings.sockets.each { |s| s.send(message) }
+  end
+
+  # Grow (padding with empty steps) or shrink a step array to the given length
+  def resize_steps(steps, length, fill = false)
+    steps.first(length) + Array.new([length - steps.length, 0].max, fill)
+  end
+
+  # Change a track's length, trimming or padding every per-step field
+  def resize_track(track_data, length)
+    track_data[:length] = length
+    STEP_FIELDS.each do |field, empty|
+      track_data[field] = resize_steps(track_data[field], length, empty)
+    end
+  end
+
+  def clamp_velocity(value)
+    value.nil? ? DEFAULT_VELOCITY : value.to_f.clamp(MIN_VELOCITY, 1.0)
+  end
+
+  # The track a message names, or nil when `track` isn't the id of one of the room's tracks
+  def find_track(track)
+    $drum_pattern[:tracks][track.to_sym] if track.is_a?(String)
+  end
+
+  def valid_step?(track, step)
+    track_data = find_track(track)
+    track_data && step.is_a?(Integer) && step >= 0 && step < track_data[:length]
+  end
+
+  def clear_steps(track_data)
+    STEP_FIELDS.each { |field, empty| track_data[field] = Array.new(track_data[:length], empty) }
+  end
+
+  # Everything stored for one step, as carried by pattern_update
+  def step_payload(track, step)
+    track_data = $drum_pattern[:tracks][track.to_sym]
+    velocity = track_data[:pattern][step]
+    {
+      track: track,
+      step: step,
+      active: !!velocity,
+      velocity: velocity || nil,
+      step_data: (STEP_FIELDS.keys - [:pattern]).to_h { |field| [field, track_data[field][step]] }
+    }
+  end
+
+  # A condition is a probability (0-100) plus an optional rule; plain 100% trigs store nil
+  def normalize_condition(condition)
+    return nil unless condition.is_a?(Hash)
+
+    probability = (condition['probability'] || 100).to_i.clamp(0, 100)
+    rule = condition['rule'].to_s
+    rule = nil unless TRIG_RULE_FORMAT.match?(rule)
+    if rule&.include?(':')
+      nth, every = rule.split(':').map(&:to_i)
+      rule = nil if nth > every
+    end
+
+    probability == 100 && rule.nil? ? nil : { probability: probability, rule: rule }
+  end
+
+  # A ratchet is a retrigger count plus a velocity ramp; single hits store nil
+  def normalize_ratchet(ratchet)
+    return nil unless ratchet.is_a?(Hash)
+
+    count = ratchet['count'].to_i.clamp(1, MAX_RATCHETS)
+    ramp = RATCHET_RAMPS.include?(ratchet['ramp']) ? ratchet['ramp'] : 'none'
+    count == 1 ? nil : { count: count, ramp: ramp }
+  end
+
+  def normalize_note(note)
+    return nil unless note.is_a?(Hash)
+
+    {
+      midi: note['midi'].to_i.clamp(MIN_NOTE, MAX_NOTE),
+      tie: note['tie'] == true,
+      slide: note['slide'] == true
+    }
+  end
+
+  # A pasted track's steps, cleaned up field by field like single-step edits.
+  # nil unless it has a usable pattern.
+  def normalize_steps(steps)
+    return nil unless steps.is_a?(Hash) && steps['pattern'].is_a?(Array) &&
+                      steps['pattern'].length.between?(1, MAX_TRACK_LENGTH)
+
+    length = steps['pattern'].length
+    field = ->(name) { resize_steps(Array(steps[name]), length, nil) }
+    {
+      length: length,
+      pattern: steps['pattern'].map { |value| value ? clamp_velocity(value == true ? nil : value) : false },
+      conditions: field['conditions'].map { |condition| normalize_condition(condition) },
+      ratchets: field['ratchets'].map { |ratchet| normalize_ratchet(ratchet) },
+      locks: field['locks'].map { |locks| merge_locks(nil, locks) },
+      notes: field['notes'].map { |note| normalize_note(note) }
+    }
+  end
+
+  # Rearrange a track's steps. Every per-step field moves together, so conditions,
+  # locks and notes stay on the steps they belong to.
+  def transform_track(track_data, operation, options)
+    length = track_data[:length]
+    case operation
+    when 'shift'
+      # Positive amounts move steps later, wrapping round the end
+      amount = options['amount'].to_i
+      STEP_FIELDS.each_key { |field| track_data[field] = track_data[field].rotate(-amount) }
+    when 'reverse'
+      STEP_FIELDS.each_key { |field| track_data[field] = track_data[field].reverse }
+    when 'invert'
+      track_data[:pattern] = track_data[:pattern].map { |velocity| velocity ? false : DEFAULT_VELOCITY }
+    when 'double'
+      return if length * 2 > MAX_TRACK_LENGTH
+
+      track_data[:length] = length * 2
+      STEP_FIELDS.each_key { |field| track_data[field] += track_data[field].map(&:dup) }
+    when 'halve'
+      resize_track(track_data, (length / 2.0).ceil) if length > 1
+    when 'randomize'
+      density = options['density'].to_f.clamp(0.0, 1.0)
+      track_data[:pattern] = Array.new(length) { rand < density ? DEFAULT_VELOCITY : false }
+    end
+  end
+
+  # Apply the valid parts of a harmony change, ignoring the rest
+  def merge_harmony(harmony, changes)
+    return harmony unless changes.is_a?(Hash)
+
+    merged = harmony.dup
+    merged[:root] = changes['root'].to_i % 12 if changes['root'].is_a?(Integer)
+    merged[:scale] = changes['scale'] if SCALE_NAMES.include?(changes['scale'])
+    if changes['progression'].is_a?(Array)
+      progression = changes['progression']
+        .select { |numeral| numeral.is_a?(String) && CHORD_NUMERALS.include?(numeral.upcase) }
+        .first(MAX_PROGRESSION_LENGTH)
+      merged[:progression] = progression.empty? ? ['I'] : progression
+    end
+    merged
+  end
+
+  def merge_timing(timing, changes)
+    return timing unless changes.is_a?(Hash)
+
+    merged = timing.dup
+    merged[:resolution] = changes['resolution'] if RESOLUTIONS.include?(changes['resolution'])
+    merged[:time_signature] = changes['time_signature'] if TIME_SIGNATURES.include?(changes['time_signature'])
+    merged
+  end
+
+  def merge_performance(performance, changes)
+    return performance unless changes.is_a?(Hash)
+
+    merged = performance.dup
+    merged[:swing] = changes['swing'].to_f.clamp(0, 1) if changes['swing'].is_a?(Numeric)
+    merged[:stutter_division] = changes['stutter_division'] if STUTTER_DIVISIONS.include?(changes['stutter_division'])
+    MOMENTARY_CONTROLS.each do |control|
+      merged[control] = changes[control.to_s] if [true, false].include?(changes[control.to_s])
+    end
+    merged
+  end
+
+  # Take the numbers in `changes` that `ranges` has a key for, clamped into range
+  def merge_ranges(values, changes, ranges)
+    return values unless changes.is_a?(Hash)
+
+    merged = values.dup
+    ranges.each do |key, range|
+      value = changes[key.to_s]
+      merged[key] = value.clamp(range.min, range.max) if value.is_a?(Numeric)
+    end
+    merged
+  end
+
+  def merge_master(master, changes)
+    merge_ranges(master, changes, MASTER_RANGES)
+  end
+
+  def merge_returns(returns, changes)
+    return returns unless changes.is_a?(Hash)
+
+    merged = merge_ranges(returns, changes, RETURN_RANGES)
+    merged[:delay_division] = changes['delay_division'] if DELAY_DIVISIONS.include?(changes['delay_division'])
+    merged
+  end
+
+  # The source can be any track in the room, or nil to turn ducking off
+  def merge_sidechain(sidechain, changes)
+    return sidechain unless changes.is_a?(Hash)
+
+    merged = merge_ranges(sidechain, changes, SIDECHAIN_RANGES)
+    source = changes['source']
+    valid_source = source.nil? || $drum_pattern[:tracks].key?(source.to_s.to_sym)
+    merged[:source] = source if changes.key?('source') && valid_source
+    merged
+  end
+
+  # LFOs and routes arrive whole. A list of LFOs outside MIN_LFOS..MAX_LFOS is ignored;
+  # routes that don't fit the room (a missing track or LFO, a param the track doesn't
+  # have) are dropped.
+  def merge_modulation(modulation, changes)
+    return modulation unless changes.is_a?(Hash)
+
+    merged = modulation.dup
+    lfos = changes['lfos']
+    merged[:lfos] = lfos.map { |lfo| merge_lfo(lfo) } if lfos.is_a?(Array) && lfos.length.between?(MIN_LFOS, MAX_LFOS)
+    routes = changes['routes'].is_a?(Array) ? changes['routes'].filter_map { |route| mod_route(route) } : merged[:routes]
+    merged[:routes] = routes.select { |route| route[:lfo] < merged[:lfos].length }.first(MAX_MOD_ROUTES)
+    merged
+  end
+
+  def merge_lfo(changes)
+    return DEFAULT_LFO.dup unless changes.is_a?(Hash)
+
+    lfo = merge_ranges(DEFAULT_LFO, changes, LFO_RANGES)
+    lfo[:shape] = changes['shape'] if LFO_SHAPES.include?(changes['shape'])
+    lfo[:sync] = changes['sync'] if [true, false].include?(changes['sync'])
+    lfo[:division] = changes['division'] if LFO_DIVISIONS.include?(changes['division'])
+    lfo
+  end
+
+  def mod_route(route)
+    return unless route.is_a?(Hash) && route['lfo'].is_a?(Integer) && route['lfo'] >= 0
+
+    track_data = $drum_pattern[:tracks][route['track'].to_s.to_sym]
+    param = route['param']
+    return unless track_data && MOD_PARAMS.include?(param) && track_data[:params].key?(param.to_sym)
+
+    amount = route['amount'].is_a?(Numeric) ? route['amount'].clamp(-1, 1) : 0
+    { lfo: route['lfo'], track: route['track'].to_s, param: param, amount: amount }
+  end
+
+  # Sound params a kit sets, by track type - a builtin's or a saved kit's
+  def kit_params(name)
+    KIT_PARAMS[name] || $drum_pattern[:custom_kits].dig(name, :params)
+  end
+
+  # Switch the room to a kit, resetting the sound params of every track it covers
+  def apply_kit(name)
+    params = kit_params(name)
+    return false unless params
+
+    $drum_pattern[:tracks].each_value do |track_data|
+      track_data[:params].merge!(params[track_data[:type]] || {})
+    end
+    base = KIT_PARAMS.key?(name) ? name : $drum_pattern[:custom_kits][name][:base]
+    $drum_pattern[:kit] = { name: name, base: base }
+    true
+  end
+
+  # Save the room's current kit sounds under a new name - each type's params come
+  # from its first track. Builtin names can't be reused; a saved kit's can.
+  def save_kit(name)
+    name = name.to_s.strip[0, MAX_KIT_NAME_LENGTH]
+    kits = $drum_pattern[:custom_kits]
+    return false if name.empty? || KIT_PARAMS.key?(name)
+    return false if kits.length >= MAX_CUSTOM_KITS && !kits.key?(name)
+
+    base = $drum_pattern[:kit][:base]
+    params = KIT_PARAMS[base].to_h do |type, defaults|
+      track_data = $drum_pattern[:tracks].values.find { |candidate| candidate[:type] == type }
+      [type, track_data ? track_data[:params].slice(*defaults.keys) : defaults]
+    end
+    kits[name] = { name: name, base: base, params: params }
+    $drum_pattern[:kit] = { name: name, base: base }
+    true
+  end
+
+  # Let go of any STUTTER/FILL a departing client was holding
+  def release_held_controls(ws)
+    released = $held_controls.select { |_, holder| holder == ws }.keys
+    return if released.empty?
+
+    released.each do |control|
+      $held_controls.delete(control)
+      $drum_pattern[:performance][control] = false
+    end
+    broadcast('performance_update', $drum_pattern[:performance])
+  end
+
+  # JSON keys are strings - store them as the symbols kits and history use, for the track's own params only
+  def merge_params(params, changes)
+    params.merge!(changes.transform_keys(&:to_sym).slice(*params.keys))
+  end
+
+  # Merge lock changes into a step's locks - a nil value removes that lock
+  def merge_locks(locks, changes)
+    merged = (locks || {}).merge(changes.to_h.select { |param, _| LOCKABLE_PARAMS.include?(param.to_s) }
+                                         .transform_keys(&:to_sym))
+    merged = merged.select { |_, value| value.is_a?(Numeric) }
+    merged.empty? ? nil : merged
+  end
+
+  # Bank state without the saved slot contents, for lightweight queue/chain updates
+  def bank_status
+    $drum_pattern[:bank].reject { |key, _| key == :slots }
+  end
+
+  def snapshot_pattern
+    $drum_pattern[:tracks].transform_values do |track_data|
+      PATTERN_FIELDS.to_h { |field| [field, track_data[field].dup] }
+    end
+  end
+
+  def load_pattern(snapshot)
+    $drum_pattern[:tracks].each do |track, track_data|
+      saved = snapshot && snapshot[track]
+      if saved
+        PATTERN_FIELDS.each { |field| track_data[field] = saved[field].dup }
+      else
+        clear_steps(track_data)
+      end
+    end
+  end
+
+  def sample_path(hash)
+    File.join(SAMPLE_DIR, hash)
+  end
+
+  # First free id for a new track of this type: kick, kick2, kick3...
+  def next_track_id(type)
+    tracks = $drum_pattern[:tracks]
+    return type.to_sym unless tracks.key?(type.to_sym)
+
+    (2..).each do |n|
+      id = :"#{type}#{n}"
+      return id unless tracks.key?(id)
+    end
+  end
+
+  # The part of the session undo can rewind - each track's steps and params, the
+  # harmony, the timing, the room-wide mix settings, the modulation and the kit - deep-copied so later edits can't change it
+  def editable_state
+    Marshal.load(Marshal.dump({
+      tracks: $drum_pattern[:tracks].transform_values { |track_data| track_data.slice(*PATTERN_FIELDS, :params) },
+      harmony: $drum_pattern[:harmony],
+      timing: $drum_pattern[:timing],
+      master: $drum_pattern[:master],
+      returns: $drum_pattern[:returns],
+      sidechain: $drum_pattern[:sidechain],
+      modulation: $drum_pattern[:modulation],
+      kit: $drum_pattern[:kit]
+    }))
+  end
+
+  def hash_changes(path, before, after)
+    (before.keys | after.keys).reject { |key| before[key] == after[key] }
+                              .map { |key| { path: [*path, key], before: before[key], after: after[key] } }
+  end
+
+  # Every value that differs between two editable states, as { path, before, after }.
+  # Steps are compared one by one; a track whose length changed is kept as one unit
+  # so its fields can't end up different lengths. Added and removed tracks aren't undoable.
+  def state_changes(before, after)
+    changes = []
+    before[:tracks].each do |track, old|
+      new = after[:tracks][track]
+      next unless new
+
+      if old[:length] == new[:length]
+        STEP_FIELDS.each_key do |field|
+          old[field].each_index do |step|
+            next if old[field][step] == new[field][step]
+
+            changes << { path: [:tracks, track, field, step], before: old[field][step], after: new[field][step] }
+          end
+        end
+      else
+        changes << { path: [:tracks, track, :steps], before: old.slice(*PATTERN_FIELDS), after: new.slice(*PATTERN_FIELDS) }
+      end
+      changes.concat(hash_changes([:tracks, track, :params], old[:params], new[:params]))
+    end
+    %i[harmony timing master returns sidechain modulation kit].each do |section|
+      changes.concat(hash_changes([section], before[section], after[section]))
+    end
+    changes
+  end
+
+  def state_value(path)
+    return $drum_pattern[path[0]][path[1]] unless path[0] == :tracks
+
+    _, track, field, key = path
+    track_data = $drum_pattern[:tracks][track]
+    return UNREACHABLE unless track_data
+    return track_data.slice(*PATTERN_FIELDS) if field == :steps
+    return track_data[:params][key] if field == :params
+
+    key < track_data[:length] ? track_data[field][key] : UNREACHABLE
+  end
+
+  def set_state_value(path, value)
+    _, track, field, key = path
+    value = Marshal.load(Marshal.dump(value))
+    if path[0] != :tracks
+      $drum_pattern[path[0]][path[1]] = value
+    elsif field == :steps
+      $drum_pattern[:tracks][track].merge!(value)
+    else
+      # A nil param (a sample track's `sample` before its first load) stays a key, as
+      # merge_params only sets params the track already has
+      $drum_pattern[:tracks][track][field][key] = value
+    end
+  end
+
+  # Steps and timing belong to the pattern slot that was live when they were edited.
+  # Params, and the room-wide sections, stay put when the slot changes.
+  def slot_change?(path)
+    path[0] == :timing || (path[0] == :tracks && path[2] != :params)
+  end
+
+  # Record what a message changed, folding a quick run of knob moves into one entry.
+  # Each entry notes the live slot, so undo can't carry its steps into another one.
+  def record_history(ws, action, before)
+    changes = state_changes(before, editable_state)
+    return if changes.empty?
+
+    author = $client_ids[ws]
+    slot = $drum_pattern[:bank][:current]
+    now = Time.now.to_f
+    last = $history.last
+    if last && COALESCED_MESSAGES.include?(action) && last[:action] == action && last[:author] == author &&
+       last[:slot] == slot && !last[:undone] && now - last[:time] < COALESCE_SECONDS &&
+       last[:changes].map { |change| change[:path] } == changes.map { |change| change[:path] }
+      last[:changes].zip(changes) { |change, newer| change[:after] = newer[:after] }
+      last[:time] = now
+      return broadcast('history_entry', history_summary(last))
+    end
+
+    entry = {
+      id: $next_history_id, author: author, action: action, slot: slot, time: now, undone: false, changes: changes
+    }
+    $next_history_id += 1
+    $history << entry
+    $history.shift while $history.length > MAX_HISTORY
+    broadcast('history_entry', history_summary(entry))
+  end
+
+  # An entry without its change list, for the history panel
+  def history_summary(entry)
+    entry.except(:changes).merge(
+      size: entry[:changes].length,
+      tracks: entry[:changes].filter_map { |change| change[:path][1] if change[:path][0] == :tracks }.uniq
+    )
+  end
+
+  # Undo (or redo) an entry. Only values still as the entry left them are put back,
+  # so anything edited since - by anyone - stays as it is. Steps edited in another
+  # pattern slot than the live one are out of reach.
+  def revert_history(entry, undo)
+    from, to = undo ? %i[after before] : %i[before after]
+    other_slot = entry[:slot] != $drum_pattern[:bank][:current]
+    entry[:changes].each do |change|
+      next if other_slot && slot_change?(change[:path])
+
+      set_state_value(change[:path], change[to]) if state_value(change[:path]) == change[from]
+    end
+    entry[:undone] = undo
+  end
+
+  # An author's newest edit that is still applied
+  def undo_target(author)
+    $history.reverse.find { |entry| entry[:author] == author && !entry[:undone] }
+  end
+
+  # The earliest of an author's undone edits since their newest applied one - a new
+  # edit ends the redo chain
+  def redo_target(author)
+    mine = $history.select { |entry| entry[:author] == author }
+    live = mine.rindex { |entry| !entry[:undone] }
+    (live ? mine[(live + 1)..] : mine).find { |entry| entry[:undone] }
+  end
+
+  # Save the live pattern into its slot and load another one in its place
+  def activate_slot(slot)
+    bank = $drum_pattern[:bank]
+    bank[:slots][bank[:current]] = snapshot_pattern
+    bank[:timings][bank[:current]] = $drum_pattern[:timing]
+    load_pattern(bank[:slots][slot])
+    $drum_pattern[:timing] = bank[:timings][slot].dup
+    bank[:current] = slot
+    bank[:queued] = nil
+
+    # In song mode the next chain entry is queued as soon as one starts playing
+    unless bank[:chain].empty?
+      bank[:chain_position] = (bank[:chain_position] + 1) % bank[:chain].length
+      bank[:queued] = bank[:chain][bank[:chain_position]]
+    end
+  end
+end
+
 get ['/', '/companion'] do
   if !request.websocket?
     # Serve the built React app
@@ -68,6 +795,8 @@ get ['/', '/companion'] do
     request.websocket do |ws|
       ws.onopen do
         settings.sockets << ws
+        $client_ids[ws] = SecureRandom.hex(3)
+        ws.send(JSON.generate({ type: 'welcome', data: { client_id: $client_ids[ws] } }))
         # Send current state to new client
         ws.send(JSON.generate({
           type: 'state_update',
@@ -79,44 +808,137 @@ get ['/', '/companion'] do
       ws.onmessage do |msg|
         begin
           data = JSON.parse(msg)
+          history_before = editable_state if HISTORY_MESSAGES.include?(data['type'])
           
           case data['type']
           when 'toggle_step'
             track = data['track']
             step = data['step']
-            if $drum_pattern[:tracks][track.to_sym]
-              $drum_pattern[:tracks][track.to_sym][:pattern][step] = 
-                !$drum_pattern[:tracks][track.to_sym][:pattern][step]
+            # Ignore steps past the end of the track (e.g. a click racing a length change)
+            if valid_step?(track, step)
+              $drum_pattern[:tracks][track.to_sym][:pattern][step] =
+                $drum_pattern[:tracks][track.to_sym][:pattern][step] ? false : clamp_velocity(data['velocity'])
               
               # Broadcast to all clients
-              broadcast_message = JSON.generate({
-                type: 'pattern_update',
-                data: {
-                  track: track,
-                  step: step,
-                  active: $drum_pattern[:tracks][track.to_sym][:pattern][step]
-                }
-              })
-              settings.sockets.each { |s| s.send(broadcast_message) }
+              broadcast('pattern_update', step_payload(track, step))
+            end
+
+          when 'set_velocity'
+            track = data['track']
+            step = data['step']
+            # Setting a velocity always leaves the step switched on
+            if valid_step?(track, step)
+              $drum_pattern[:tracks][track.to_sym][:pattern][step] = clamp_velocity(data['velocity'])
+
+              # Broadcast to all clients
+              broadcast('pattern_update', step_payload(track, step))
+            end
+
+          when 'set_condition'
+            track = data['track']
+            step = data['step']
+            if valid_step?(track, step)
+              $drum_pattern[:tracks][track.to_sym][:conditions][step] = normalize_condition(data['condition'])
+
+              # Broadcast to all clients
+              broadcast('pattern_update', step_payload(track, step))
+            end
+
+          when 'set_lock'
+            track = data['track']
+            step = data['step']
+            if valid_step?(track, step)
+              locks = $drum_pattern[:tracks][track.to_sym][:locks]
+              # `locks: null` clears every lock on the step
+              locks[step] = data['locks'] ? merge_locks(locks[step], data['locks']) : nil
+
+              # Broadcast to all clients
+              broadcast('pattern_update', step_payload(track, step))
+            end
+
+          when 'set_note'
+            track = data['track']
+            step = data['step']
+            if valid_step?(track, step)
+              track_data = $drum_pattern[:tracks][track.to_sym]
+              track_data[:notes][step] = normalize_note(data['note'])
+              # Giving a rest a note makes it play
+              track_data[:pattern][step] ||= DEFAULT_VELOCITY if track_data[:notes][step]
+
+              # Broadcast to all clients
+              broadcast('pattern_update', step_payload(track, step))
+            end
+
+          when 'set_ratchet'
+            track = data['track']
+            step = data['step']
+            if valid_step?(track, step)
+              $drum_pattern[:tracks][track.to_sym][:ratchets][step] = normalize_ratchet(data['ratchet'])
+
+              # Broadcast to all clients
+              broadcast('pattern_update', step_payload(track, step))
             end
             
           when 'update_params'
             track = data['track']
             params = data['params']
-            if $drum_pattern[:tracks][track.to_sym]
-              $drum_pattern[:tracks][track.to_sym][:params].merge!(params)
+            if find_track(track) && params.is_a?(Hash)
+              merge_params($drum_pattern[:tracks][track.to_sym][:params], params)
               
               # Broadcast to all clients
-              broadcast_message = JSON.generate({
-                type: 'params_update',
-                data: {
-                  track: track,
-                  params: $drum_pattern[:tracks][track.to_sym][:params]
-                }
+              broadcast('params_update', {
+                track: track,
+                params: $drum_pattern[:tracks][track.to_sym][:params]
               })
-              settings.sockets.each { |s| s.send(broadcast_message) }
+            end
+
+          when 'set_track_length'
+            track = data['track']
+            track_data = find_track(track)
+            if track_data
+              resize_track(track_data, data['length'].to_i.clamp(1, MAX_TRACK_LENGTH))
+
+              # Broadcast to all clients
+              broadcast('length_update', { track: track }.merge(track_data.slice(*PATTERN_FIELDS)))
             end
             
+          when 'set_track_pattern'
+            # A whole generated pattern (e.g. Euclidean) in one go - its length
+            # becomes the track's length
+            track = data['track']
+            track_data = find_track(track)
+            steps = data['pattern']
+            if track_data && steps.is_a?(Array) && steps.length.between?(1, MAX_TRACK_LENGTH)
+              resize_track(track_data, steps.length)
+              track_data[:pattern] = steps.map { |value| value ? clamp_velocity(value == true ? nil : value) : false }
+
+              broadcast('length_update', { track: track }.merge(track_data.slice(*PATTERN_FIELDS)))
+            end
+
+          when 'transform_pattern'
+            # One track, or the whole pattern when no track is given
+            track = data['track']
+            tracks = track.nil? ? $drum_pattern[:tracks] : $drum_pattern[:tracks].slice(track.to_s.to_sym)
+            if TRANSFORMS.include?(data['operation']) && !tracks.empty?
+              tracks.each_value { |track_data| transform_track(track_data, data['operation'], data) }
+
+              broadcast('tracks_update', tracks.transform_values { |track_data| track_data.slice(*PATTERN_FIELDS) })
+            end
+
+          when 'paste_pattern'
+            # Copied steps keyed by the track to paste them into - one track, or a
+            # whole copied pattern. Tracks this room doesn't have are skipped.
+            pasted = data['tracks'].is_a?(Hash) ? data['tracks'] : {}
+            tracks = pasted.filter_map do |track, steps|
+              track_data = $drum_pattern[:tracks][track.to_sym]
+              steps = normalize_steps(steps)
+              next unless track_data && steps
+
+              track_data.merge!(steps)
+              [track.to_sym, track_data.slice(*PATTERN_FIELDS)]
+            end.to_h
+            broadcast('tracks_update', tracks) unless tracks.empty?
+
           when 'transport_control'
             action = data['action']
             case action
@@ -130,41 +952,165 @@ get ['/', '/companion'] do
             end
             
             # Broadcast to all clients
-            broadcast_message = JSON.generate({
-              type: 'transport_update',
-              data: {
-                playing: $drum_pattern[:playing],
-                current_step: $drum_pattern[:current_step],
-                bpm: $drum_pattern[:bpm]
-              }
+            broadcast('transport_update', {
+              playing: $drum_pattern[:playing],
+              current_step: $drum_pattern[:current_step],
+              bpm: $drum_pattern[:bpm]
             })
-            settings.sockets.each { |s| s.send(broadcast_message) }
             
           when 'step_update'
             $drum_pattern[:current_step] = data['step']
             
             # Broadcast to all clients
-            broadcast_message = JSON.generate({
-              type: 'step_position',
-              data: { current_step: data['step'] }
-            })
-            settings.sockets.each { |s| s.send(broadcast_message) }
+            broadcast('step_position', { current_step: data['step'] })
             
+          when 'queue_pattern'
+            slot = data['slot']
+            if PATTERN_SLOTS.include?(slot)
+              bank = $drum_pattern[:bank]
+              # Picking a slot by hand leaves song mode
+              bank[:chain] = []
+              bank[:chain_position] = 0
+
+              if $drum_pattern[:playing]
+                # Audio clients switch at the end of the bar
+                bank[:queued] = slot
+                broadcast('bank_update', bank_status)
+              else
+                activate_slot(slot)
+                broadcast('state_update', $drum_pattern)
+              end
+            end
+
+          when 'set_chain'
+            bank = $drum_pattern[:bank]
+            bank[:chain] = Array(data['chain']).select { |slot| PATTERN_SLOTS.include?(slot) }
+            bank[:chain_position] = 0
+            bank[:queued] = bank[:chain].first
+
+            if bank[:queued] && !$drum_pattern[:playing]
+              activate_slot(bank[:queued])
+              broadcast('state_update', $drum_pattern)
+            else
+              broadcast('bank_update', bank_status)
+            end
+
+          when 'switch_pattern'
+            # Sent by every playing client at the bar line - only the first one for
+            # a given queued switch takes effect
+            bank = $drum_pattern[:bank]
+            if bank[:current] == data['from'] && bank[:queued] == data['to'] &&
+               bank[:chain_position] == data['chain_position']
+              activate_slot(data['to'])
+              broadcast('state_update', $drum_pattern)
+            end
+
+          when 'add_track'
+            type = data['track_type']
+            if TRACK_TYPES.key?(type) && !FIXED_TRACK_TYPES.include?(type) &&
+               $drum_pattern[:tracks].length < MAX_TRACKS
+              track_data = new_track(type)
+              track_data[:params].merge!(kit_params($drum_pattern[:kit][:name])&.dig(type) || {})
+              $drum_pattern[:tracks][next_track_id(type)] = track_data
+              broadcast('state_update', $drum_pattern)
+            end
+
+          when 'remove_track'
+            track = data['track'].to_s.to_sym
+            track_data = $drum_pattern[:tracks][track]
+            if track_data && !FIXED_TRACK_TYPES.include?(track_data[:type])
+              $drum_pattern[:tracks].delete(track)
+              # Saved slots and modulation routes forget it too, so re-adding the id starts empty
+              $drum_pattern[:bank][:slots].each_value { |saved| saved&.delete(track) }
+              $drum_pattern[:modulation][:routes].reject! { |route| route[:track] == track.to_s }
+              # Ducking turns off rather than follow a track that's gone
+              $drum_pattern[:sidechain][:source] = nil if $drum_pattern[:sidechain][:source] == track.to_s
+              broadcast('state_update', $drum_pattern)
+            end
+
+          when 'set_harmony'
+            $drum_pattern[:harmony] = merge_harmony($drum_pattern[:harmony], data['harmony'])
+            broadcast('harmony_update', $drum_pattern[:harmony])
+
+          when 'set_timing'
+            # Playing clients pick the change up at the next bar line
+            $drum_pattern[:timing] = merge_timing($drum_pattern[:timing], data['timing'])
+            broadcast('timing_update', $drum_pattern[:timing])
+
+          when 'set_master'
+            $drum_pattern[:master] = merge_master($drum_pattern[:master], data['master'])
+            broadcast('master_update', $drum_pattern[:master])
+
+          when 'set_returns'
+            $drum_pattern[:returns] = merge_returns($drum_pattern[:returns], data['returns'])
+            broadcast('returns_update', $drum_pattern[:returns])
+
+          when 'set_kit'
+            broadcast('state_update', $drum_pattern) if apply_kit(data['kit'].to_s)
+
+          when 'save_kit'
+            if save_kit(data['name'])
+              broadcast('kits_update', { kit: $drum_pattern[:kit], custom_kits: $drum_pattern[:custom_kits] })
+            end
+
+          when 'set_sidechain'
+            $drum_pattern[:sidechain] = merge_sidechain($drum_pattern[:sidechain], data['sidechain'])
+            broadcast('sidechain_update', $drum_pattern[:sidechain])
+
+          when 'set_modulation'
+            $drum_pattern[:modulation] = merge_modulation($drum_pattern[:modulation], data['modulation'])
+            broadcast('modulation_update', $drum_pattern[:modulation])
+
+          when 'set_performance'
+            changes = data['performance']
+            $drum_pattern[:performance] = merge_performance($drum_pattern[:performance], changes)
+            MOMENTARY_CONTROLS.each do |control|
+              next unless changes.is_a?(Hash) && changes.key?(control.to_s)
+
+              if $drum_pattern[:performance][control]
+                $held_controls[control] = ws
+              else
+                $held_controls.delete(control)
+              end
+            end
+            broadcast('performance_update', $drum_pattern[:performance])
+
           when 'clear_pattern'
             puts "Clearing pattern..."
             # Clear all patterns
             $drum_pattern[:tracks].each do |track, track_data|
-              track_data[:pattern] = Array.new(16, false)
+              clear_steps(track_data)
             end
             
             puts "Pattern cleared, broadcasting to #{settings.sockets.length} clients"
             # Broadcast to all clients
-            broadcast_message = JSON.generate({
-              type: 'state_update',
-              data: $drum_pattern
-            })
-            settings.sockets.each { |s| s.send(broadcast_message) }
+            broadcast('state_update', $drum_pattern)
+
+          when 'undo', 'redo'
+            author = $client_ids[ws]
+            entry = data['type'] == 'undo' ? undo_target(author) : redo_target(author)
+            if entry
+              revert_history(entry, data['type'] == 'undo')
+              broadcast('state_update', $drum_pattern)
+              broadcast('history_entry', history_summary(entry))
+            end
+
+          when 'restore_clear'
+            # Anyone can bring back what the last CLEAR wiped
+            entry = $history.reverse.find { |e| e[:action] == 'clear_pattern' && !e[:undone] }
+            if entry
+              revert_history(entry, true)
+              broadcast('state_update', $drum_pattern)
+              broadcast('history_entry', history_summary(entry))
+            end
+
+          when 'get_history'
+            # Full entries, changes included, so a client can inspect or replay them
+            entries = $history.map { |entry| history_summary(entry).merge(changes: entry[:changes]) }
+            ws.send(JSON.generate({ type: 'history', data: { entries: entries } }))
           end
+
+          record_history(ws, data['type'], history_before) if history_before
           
         rescue JSON::ParserError => e
           puts "Invalid JSON received: #{e}"
@@ -173,6 +1119,8 @@ get ['/', '/companion'] do
 
       ws.onclose do
         settings.sockets.delete(ws)
+        release_held_controls(ws)
+        $client_ids.delete(ws)
         puts "Client disconnected. Total clients: #{settings.sockets.length}"
       end
     end
@@ -181,6 +1129,31 @@ end
 
 # Companion route handled by main WebSocket route above
 
+# Store an uploaded sample under its content hash. Re-uploading a file we
+# already have is harmless - clients check with a HEAD request first.
+post '/samples' do
+  halt 415 unless SAMPLE_MEDIA_TYPES.include?(request.media_type)
+  data = request.body.read(MAX_SAMPLE_BYTES + 1).to_s
+  halt 413 if data.bytesize > MAX_SAMPLE_BYTES
+  halt 400 if data.empty?
+
+  hash = Digest::SHA256.hexdigest(data)
+  FileUtils.mkdir_p(SAMPLE_DIR)
+  File.binwrite(sample_path(hash), data) unless File.exist?(sample_path(hash))
+
+  content_type :json
+  JSON.generate({ hash: hash })
+end
+
+# Samples never change under a hash, so browsers may cache them for good
+get '/samples/:hash' do
+  hash = params['hash']
+  halt 404 unless hash.match?(SAMPLE_HASH_FORMAT) && File.exist?(sample_path(hash))
+
+  cache_control :public, :immutable, max_age: 31_536_000
+  send_file sample_path(hash), type: 'application/octet-stream'
+end
+
 # API endpoint to get current state
 get '/api/state' do
   content_type :json
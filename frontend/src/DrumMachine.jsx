@@ -1,59 +1,214 @@
 import { useState, useEffect, useRef } from 'react';
 import * as Tone from 'tone';
 import VisualizationCanvas from './components/VisualizationCanvas';
+import PatternBank from './components/PatternBank';
+import StepEditor from './components/StepEditor';
+import NoteEditor from './components/NoteEditor';
+import HarmonyPanel from './components/HarmonyPanel';
+import EuclidPanel from './components/EuclidPanel';
+import TrackControls from './components/TrackControls';
+import TransformTools from './components/TransformTools';
+import HistoryPanel from './components/HistoryPanel';
+import MasterPanel from './components/MasterPanel';
+import ReturnsPanel from './components/ReturnsPanel';
+import SidechainPanel from './components/SidechainPanel';
+import KitPanel from './components/KitPanel';
+import ModMatrixPanel from './components/ModMatrixPanel';
+import ModRing from './components/ModRing';
+import { shouldTrigger, formatCondition } from './lib/trigConditions';
+import { harmonizeNote, getChordAtStep } from './lib/harmony';
+import { euclideanRhythm } from './lib/euclid';
+import { TRACK_TYPES, DEFAULT_TRACK_TYPES, ADDABLE_TRACK_TYPES, FILTER_CONTROLS, SEND_CONTROLS, ECHO_CONTROLS } from './lib/trackTypes';
+import { TrackFilter } from './lib/trackFilter';
+import { TrackDelay } from './lib/trackDelay';
+import { MasterBus, DEFAULT_MASTER } from './lib/masterBus';
+import { ReverbReturn, DelayReturn, DEFAULT_RETURNS } from './lib/returnBuses';
+import { DEFAULT_SIDECHAIN, scheduleDuck } from './lib/sidechain';
+import { DEFAULT_KIT, getKitVoice } from './lib/kits';
+import { ModLfo, DEFAULT_MODULATION, MOD_PARAMS, MOD_DEPTHS, modulateValue } from './lib/modulation';
+import { buildArpSequence, getArpNote, getArpHits } from './lib/arpeggiator';
+import { uploadSample, loadSampleBuffer } from './lib/samples';
+import { DEFAULT_TIMING, getStepsPerBar, getBeatsPerBar, getStepSeconds, isSameTiming } from './lib/timing';
+
+const MAX_TRACK_LENGTH = 64;
+const MAX_TRACKS = 16;
+// Matches the server's MAX_HISTORY
+const MAX_HISTORY = 500;
+const MIN_VELOCITY = 0.05;
+// Pixels of vertical drag for a full 0-1 velocity sweep
+const VELOCITY_DRAG_RANGE = 100;
+// Volume routes scale their swing by the track's volume; this keeps a silent track's finite
+const MIN_MOD_VOLUME = 0.01;
+
+// Steps are false (off) or a 0-1 velocity
+const getStepVelocity = (value) => value || 0;
+
+// Per-step arrays the server keeps alongside `pattern` for each track
+const STEP_DATA_FIELDS = ['conditions', 'ratchets', 'locks', 'notes'];
+
+// Steps of melodic tracks carry a note (written in C major, played in the room's key);
+// a step without one plays the track type's default
+const getStepNote = (trackType, note) => note || { midi: trackType.defaultNote, tie: false, slide: false };
+
+// Track params a step can override with a parameter lock
+const LOCKABLE_PARAMS = ['pitch', 'decay', 'distortion', 'delay', 'chorus', 'cutoff', 'resonance', 'filter_env'];
+
+const getStepData = (trackData) =>
+  Object.fromEntries(STEP_DATA_FIELDS.map(field => [field, trackData[field]]));
+
+// Velocity scale for hit `index` of a ratcheted step
+const getRatchetRampScale = (ratchet, index) => {
+  if (!ratchet || ratchet.ramp === 'none') return 1;
+  return ratchet.ramp === 'up' ? (index + 1) / ratchet.count : 1 - index / ratchet.count;
+};
+
+const DEFAULT_PERFORMANCE = { swing: 0, stutter: false, stutter_division: '16n', fill: false };
+
+// Beat-repeat lengths for the momentary STUTTER
+const STUTTER_DIVISIONS = [
+  { value: '8n', label: '1/8' },
+  { value: '16n', label: '1/16' },
+  { value: '32n', label: '1/32' },
+  { value: '8t', label: '1/8T' },
+  { value: '16t', label: '1/16T' }
+];
+
+const emptyStepData = (length) =>
+  Object.fromEntries(STEP_DATA_FIELDS.map(field => [field, Array(length).fill(null)]));
+
+// Tone's waveshaper still colours (and quietens) the signal at amount 0, so bypass it there
+const setDistortion = (distortion, amount) => {
+  distortion.distortion = amount;
+  distortion.wet.value = amount > 0 ? 1 : 0;
+};
+
+// Global step count since the transport started. Each track wraps it at its own
+// length, which is what lets a 12-step hi-hat run against a 16-step kick. `origin` is
+// where the running timing took over - { timing, ticks, step }, always on a bar line.
+const getStepAtTime = (time, origin) => {
+  const stepTicks = Tone.Time(origin.timing.resolution).toTicks();
+  // Swing only ever delays an off-beat by part of a step, so flooring still lands on it
+  return origin.step + Math.floor((Tone.Transport.getTicksAtTime(time) - origin.ticks) / stepTicks + 0.001);
+};
+
+// In development the Ruby backend runs on port 4567; in production it serves the frontend
+const getServerHost = () => {
+  const isDevelopment = window.location.hostname === 'localhost' && window.location.port === '5173';
+  return isDevelopment ? 'localhost:4567' : window.location.host;
+};
+
+// Base URL for the server's HTTP routes (sample uploads and downloads)
+const getServerUrl = () => `${window.location.protocol}//${getServerHost()}`;
+
+// Per-track object built from the server's tracks
+const mapTracks = (tracks, getValue) =>
+  Object.fromEntries(Object.entries(tracks).map(([track, trackData]) => [track, getValue(trackData)]));
+
+// Build a per-track object for the starting tracks (ids are their type names)
+const defaultTrackState = (getValue) =>
+  Object.fromEntries(DEFAULT_TRACK_TYPES.map(type => [type, getValue(type)]));
 
 const DrumMachine = () => {
-  const [pattern, setPattern] = useState({
-    kick: Array(16).fill(false),
-    snare: Array(16).fill(false),
-    hihat: Array(16).fill(false),
-    openhat: Array(16).fill(false),
-    arp: Array(16).fill(true), // Always on for arpeggio
-    bass: Array(16).fill(true), // Always on for bassline
-  });
-
-  const [params, setParams] = useState({
-    kick: { pitch: 60, decay: 0.3, volume: 0.8, distortion: 0, delay: 0, chorus: 0 },
-    snare: { pitch: 200, decay: 0.2, volume: 0.7, distortion: 0, delay: 0, chorus: 0 },
-    hihat: { pitch: 800, decay: 0.1, volume: 0.6, distortion: 0, delay: 0, chorus: 0 },
-    openhat: { pitch: 1000, decay: 0.4, volume: 0.5, distortion: 0, delay: 0, chorus: 0 },
-    arp: { volume: 0.3, distortion: 0, delay: 0, chorus: 0, waveform: 'triangle' }, // Arpeggio with effects
-    bass: { volume: 0.4 }, // Only volume control for bassline
-  });
+  // Track id -> type in TRACK_TYPES. The server decides which tracks exist.
+  const [trackTypes, setTrackTypes] = useState(defaultTrackState(type => type));
+  const [pattern, setPattern] = useState(defaultTrackState(() => Array(16).fill(false)));
 
+  // Trig conditions etc. for the server-side tracks, keyed like `pattern`
+  const [stepData, setStepData] = useState(defaultTrackState(() => emptyStepData(16)));
+  const [editingStep, setEditingStep] = useState(null);
+  // Step whose knobs are being locked: { track, step, latched } - held while pressed, latched by alt-click
+  const [lockStep, setLockStep] = useState(null);
+  // Euclidean generator being auditioned locally: { track, pulses, steps, rotation }
+  const [euclidPreview, setEuclidPreview] = useState(null);
+  // Copied steps, private to this client: { kind: 'track', steps } or { kind: 'pattern', tracks }
+  const [clipboard, setClipboard] = useState(null);
+  const [randomDensity, setRandomDensity] = useState(0.25);
+
+  const [params, setParams] = useState(defaultTrackState(type => TRACK_TYPES[type].defaultParams));
+
+  const [harmony, setHarmony] = useState({ root: 0, scale: 'major', progression: ['I'] });
+  const [bank, setBank] = useState({ current: 'A', queued: null, chain: [], chain_position: 0, slots: {}, timings: {} });
+  // The live pattern's resolution and time signature, and the one actually playing -
+  // changes wait for the next bar line
+  const [timing, setTiming] = useState(DEFAULT_TIMING);
+  const [runningTiming, setRunningTiming] = useState(DEFAULT_TIMING);
+  const [master, setMaster] = useState(DEFAULT_MASTER);
+  const [returns, setReturns] = useState(DEFAULT_RETURNS);
+  const [sidechain, setSidechain] = useState(DEFAULT_SIDECHAIN);
+  const [modulation, setModulation] = useState(DEFAULT_MODULATION);
+  // The room's drum kit ({ name, base }) and the kits saved in it, by name
+  const [kit, setKit] = useState(DEFAULT_KIT);
+  const [customKits, setCustomKits] = useState({});
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentStep, setCurrentStep] = useState(0);
   const [bpm, setBpm] = useState(120);
-  const [swing, setSwing] = useState(0);
-  const [isStuttering, setIsStuttering] = useState(false);
+  // The room's swing, stutter and fill. LOCAL swaps in a private copy for auditioning
+  // that nobody else hears; turning it off follows the room again.
+  const [performance, setPerformance] = useState(DEFAULT_PERFORMANCE);
+  const [localPerformance, setLocalPerformance] = useState(null);
+  const {
+    swing,
+    stutter: isStuttering,
+    stutter_division: stutterDivision,
+    fill: isFillHeld
+  } = localPerformance || performance;
   const [connected, setConnected] = useState(false);
+  // Our author id in the room's edit history, and that history (oldest first)
+  const [clientId, setClientId] = useState(null);
+  const [history, setHistory] = useState([]);
   const [showHelp, setShowHelp] = useState(false);
   const [isCompanionMode, setIsCompanionMode] = useState(
     window.location.pathname !== '/audio'
   );
   const [isVisualizationBackground, setIsVisualizationBackground] = useState(false);
+  const [isAudioReady, setIsAudioReady] = useState(false);
+  // Sample track id -> 'uploading' | 'loading' | error message, while not ready to play
+  const [sampleStatus, setSampleStatus] = useState({});
 
   const sequenceRef = useRef(null);
   const synthsRef = useRef({});
   const analyzersRef = useRef({});
   const effectsRef = useRef({});
+  const filtersRef = useRef({});
+  // Track id -> the type its voice was built as, so a re-added id gets rebuilt
+  const voiceTypesRef = useRef({});
+  // Track id -> the kit its voice was built from, for kit voices
+  const voiceKitsRef = useRef({});
+  // Sample track id -> hash of the buffer its voice has (or is loading)
+  const voiceSamplesRef = useRef({});
   const wsRef = useRef(null);
   const paramUpdateTimeouts = useRef({});
+  const masterUpdateTimeout = useRef(null);
+  const returnsUpdateTimeout = useRef(null);
+  const sidechainUpdateTimeout = useRef(null);
+  const modulationUpdateTimeout = useRef(null);
+  // EQ -> compressor -> limiter -> fader that every voice plays through
+  const masterBusRef = useRef(null);
+  // Shared { reverb, delay } returns, and each track's { reverb, delay } send gains into them
+  const returnsRef = useRef({});
+  const sendsRef = useRef({});
+  // Track id -> the gain at the end of its chain that the sidechain dips
+  const ducksRef = useRef({});
+  // The params last applied to each voice, so updates only touch what changed
+  const appliedParamsRef = useRef({});
+  // The room's LFOs (ModLfo), and each modulation route's connection into a track signal -
+  // { lfo, signal, gain } - or null where its param is moved per hit
+  const lfosRef = useRef([]);
+  const modRoutesRef = useRef([]);
+  // Track id -> the context timeouts that put its per-hit distortion and chorus back
+  const modRestoresRef = useRef({});
+  const velocityDragRef = useRef(null);
+  // Global step the current pattern started on - trig conditions count loops from here
+  const patternStartStepRef = useRef(0);
+  // Slice captured when STUTTER went down: { step, time }
   const stutterRef = useRef(null);
-  
-  // Musical patterns for arp and bass in C major
-  const arpPattern = [
-    // Cmaj7 arpeggio: C-E-G-B
-    'C4', 'E4', 'G4', 'B4', 'C5', 'B4', 'G4', 'E4',
-    // Fmaj7 arpeggio: F-A-C-E  
-    'F4', 'A4', 'C5', 'E5', 'F5', 'E5', 'C5', 'A4'
-  ];
-  
-  const bassPattern = [
-    // Root notes with some movement
-    'C2', 'C2', 'E2', 'G2', 'C2', 'C2', 'G2', 'E2',
-    'F2', 'F2', 'A2', 'C3', 'F2', 'F2', 'C3', 'A2'
-  ];
+  // STUTTER/FILL this client is holding down
+  const heldControlsRef = useRef({});
+  // Arp track id -> { notes, velocity } it's holding (written notes, harmonized as they play) -
+  // kept while its lane is off if LATCH is on
+  const arpHeldRef = useRef({});
+  // Where the running timing started on the transport (see getStepAtTime)
+  const timingOriginRef = useRef({ timing: DEFAULT_TIMING, ticks: 0, step: 0 });
 
   // Initialize audio synthesis
   useEffect(() => {
@@ -68,169 +223,130 @@ const DrumMachine = () => {
         await Tone.start();
       }
 
-      // Create a single master analyzer to capture all audio more reliably
-      const masterAnalyzer = new Tone.Analyser('fft', 1024);
-      
-      // Create analyzers for each track - all using FFT for frequency spectrum visualization
-      analyzersRef.current = {
-        kick: new Tone.Analyser('fft', 512),
-        snare: new Tone.Analyser('fft', 512),
-        hihat: new Tone.Analyser('fft', 512),
-        openhat: new Tone.Analyser('fft', 512),
-        arp: new Tone.Analyser('fft', 512),
-        bass: new Tone.Analyser('fft', 512),
-        master: masterAnalyzer // Add master analyzer
+      // Create a single master analyzer to capture all audio more reliably. It sits
+      // after the master bus so the visualizer shows what's actually heard.
+      // Track voices are built by the effect below as tracks come and go.
+      analyzersRef.current = { master: new Tone.Analyser('fft', 1024) };
+      masterBusRef.current = new MasterBus();
+      masterBusRef.current.fan(analyzersRef.current.master).toDestination();
+      returnsRef.current = {
+        reverb: new ReverbReturn().connect(masterBusRef.current),
+        delay: new DelayReturn().connect(masterBusRef.current)
       };
+      setIsAudioReady(true);
+    };
 
-      // Create effects chains for each track
+    initAudio();
+
+    return () => {
+      disposeAudio();
+      setIsAudioReady(false);
+    };
+  }, [isCompanionMode]);
+
+  // Build a track's synth -> effects -> analyzer chain from its registry entry
+  const buildVoice = (track, type) => {
+    const trackType = TRACK_TYPES[type];
+    const analyzer = new Tone.Analyser('fft', 512);
+    let effects = null;
+    if (trackType.effects) {
       try {
-        effectsRef.current = {
-          kick: {
-            distortion: new Tone.Distortion(0),
-            delay: new Tone.FeedbackDelay('8n', 0),
-            chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
-          },
-          snare: {
-            distortion: new Tone.Distortion(0),
-            delay: new Tone.FeedbackDelay('8n', 0),
-            chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
-          },
-          hihat: {
-            distortion: new Tone.Distortion(0),
-            delay: new Tone.FeedbackDelay('8n', 0),
-            chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
-          },
-          openhat: {
-            distortion: new Tone.Distortion(0),
-            delay: new Tone.FeedbackDelay('8n', 0),
-            chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
-          },
-          arp: {
-            distortion: new Tone.Distortion(0),
-            delay: new Tone.FeedbackDelay('8n', 0),
-            chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
-          }
+        effects = {
+          distortion: new Tone.Distortion(0),
+          delay: new TrackDelay(),
+          chorus: new Tone.Chorus({frequency: 4, delayTime: 2.5, depth: 0}).start()
         };
       } catch (error) {
         console.error('Failed to create effects:', error);
         // Fallback to simple effects without chorus
-        effectsRef.current = {
-          kick: { distortion: new Tone.Distortion(0), delay: new Tone.FeedbackDelay('8n', 0), chorus: null },
-          snare: { distortion: new Tone.Distortion(0), delay: new Tone.FeedbackDelay('8n', 0), chorus: null },
-          hihat: { distortion: new Tone.Distortion(0), delay: new Tone.FeedbackDelay('8n', 0), chorus: null },
-          openhat: { distortion: new Tone.Distortion(0), delay: new Tone.FeedbackDelay('8n', 0), chorus: null },
-          arp: { distortion: new Tone.Distortion(0), delay: new Tone.FeedbackDelay('8n', 0), chorus: null }
-        };
+        effects = { distortion: new Tone.Distortion(0), delay: new TrackDelay(), chorus: null };
       }
+    }
 
-      // Create drum synthesizers - connect through effects chains to analyzers and master
-      synthsRef.current = {
-        kick: new Tone.MembraneSynth({
-          pitchDecay: 0.05,
-          octaves: 10,
-          oscillator: { type: 'sine' },
-          envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 1.4 }
-        }).chain(
-          effectsRef.current.kick.distortion,
-          effectsRef.current.kick.delay,
-          ...(effectsRef.current.kick.chorus ? [effectsRef.current.kick.chorus] : [])
-        ).fan(analyzersRef.current.kick, masterAnalyzer).toDestination(),
-
-        snare: new Tone.NoiseSynth({
-          noise: { type: 'white' },
-          envelope: { attack: 0.005, decay: 0.1, sustain: 0.0 }
-        }).chain(
-          effectsRef.current.snare.distortion,
-          effectsRef.current.snare.delay,
-          ...(effectsRef.current.snare.chorus ? [effectsRef.current.snare.chorus] : [])
-        ).fan(analyzersRef.current.snare, masterAnalyzer).toDestination(),
-
-        hihat: new Tone.MetalSynth({
-          frequency: 200,
-          envelope: { attack: 0.001, decay: 0.1, release: 0.01 },
-          harmonicity: 5.1,
-          modulationIndex: 32,
-          resonance: 4000,
-          octaves: 1.5
-        }).chain(
-          effectsRef.current.hihat.distortion,
-          effectsRef.current.hihat.delay,
-          ...(effectsRef.current.hihat.chorus ? [effectsRef.current.hihat.chorus] : [])
-        ).fan(analyzersRef.current.hihat, masterAnalyzer).toDestination(),
-
-        openhat: new Tone.MetalSynth({
-          frequency: 200,
-          envelope: { attack: 0.001, decay: 0.4, release: 0.1 },
-          harmonicity: 5.1,
-          modulationIndex: 32,
-          resonance: 4000,
-          octaves: 1.5
-        }).chain(
-          effectsRef.current.openhat.distortion,
-          effectsRef.current.openhat.delay,
-          ...(effectsRef.current.openhat.chorus ? [effectsRef.current.openhat.chorus] : [])
-        ).fan(analyzersRef.current.openhat, masterAnalyzer).toDestination(),
-
-        // Arpeggio synth - bright, sparkly sound
-        arp: new Tone.PolySynth(Tone.Synth, {
-          oscillator: { type: 'triangle' },
-          envelope: { attack: 0.1, decay: 0.3, sustain: 0.3, release: 0.8 }
-        }).chain(
-          effectsRef.current.arp.distortion,
-          effectsRef.current.arp.delay,
-          ...(effectsRef.current.arp.chorus ? [effectsRef.current.arp.chorus] : [])
-        ).fan(analyzersRef.current.arp, masterAnalyzer).toDestination(),
-
-        // Bass synth - deep, warm sound  
-        bass: new Tone.MonoSynth({
-          oscillator: { type: 'sawtooth' },
-          envelope: { attack: 0.05, decay: 0.3, sustain: 0.4, release: 0.8 },
-          filter: { Q: 2, frequency: 120 }
-        }).fan(analyzersRef.current.bass, masterAnalyzer).toDestination()
-      };
+    const synth = trackType.kit ? trackType.createSynth(getKitVoice(kit.base, type)) : trackType.createSynth();
+    const filter = new TrackFilter();
+    const duck = new Tone.Gain(1);
+    const chain = [filter, ...(effects ? [effects.distortion, effects.delay, effects.chorus].filter(Boolean) : []), duck];
+    synth.chain(...chain);
+    const sends = { reverb: new Tone.Gain(0), delay: new Tone.Gain(0) };
+    sends.reverb.connect(returnsRef.current.reverb);
+    sends.delay.connect(returnsRef.current.delay);
+    chain[chain.length - 1].fan(analyzer, masterBusRef.current, sends.reverb, sends.delay);
 
-      // Create stutter effect
-      stutterRef.current = new Tone.Gate({
-        threshold: -50,
-        smoothing: 0.01
-      }).toDestination();
+    synthsRef.current[track] = synth;
+    filtersRef.current[track] = filter;
+    sendsRef.current[track] = sends;
+    ducksRef.current[track] = duck;
+    analyzersRef.current[track] = analyzer;
+    if (effects) effectsRef.current[track] = effects;
+    voiceTypesRef.current[track] = type;
+    if (trackType.kit) voiceKitsRef.current[track] = kit.base;
+  };
 
-      // Apply initial parameters
-      updateSynthParams();
-    };
+  const disposeVoice = (track) => {
+    [
+      synthsRef.current[track], filtersRef.current[track], ducksRef.current[track], analyzersRef.current[track],
+      ...Object.values(effectsRef.current[track] || {}), ...Object.values(sendsRef.current[track] || {})
+    ].forEach(node => {
+        if (node && node.dispose) node.dispose();
+      });
+    delete synthsRef.current[track];
+    delete filtersRef.current[track];
+    delete sendsRef.current[track];
+    delete ducksRef.current[track];
+    delete appliedParamsRef.current[track];
+    delete analyzersRef.current[track];
+    delete effectsRef.current[track];
+    delete voiceTypesRef.current[track];
+    delete voiceKitsRef.current[track];
+    delete voiceSamplesRef.current[track];
+  };
 
-    initAudio();
+  const disposeAudio = () => {
+    Object.keys(synthsRef.current).forEach(disposeVoice);
+    if (analyzersRef.current.master) analyzersRef.current.master.dispose();
+    analyzersRef.current = {};
+    Object.values(returnsRef.current).forEach(bus => bus.dispose());
+    returnsRef.current = {};
+    if (masterBusRef.current) masterBusRef.current.dispose();
+    masterBusRef.current = null;
+    modRoutesRef.current.forEach(route => route && route.gain.dispose());
+    modRoutesRef.current = [];
+    lfosRef.current.forEach(lfo => lfo.dispose());
+    lfosRef.current = [];
+  };
 
-    return () => {
-      Object.values(synthsRef.current).forEach(synth => {
-        if (synth.dispose) synth.dispose();
-      });
-      Object.values(analyzersRef.current).forEach(analyzer => {
-        if (analyzer.dispose) analyzer.dispose();
-      });
-      Object.values(effectsRef.current).forEach(effects => {
-        Object.values(effects).forEach(effect => {
-          if (effect.dispose) effect.dispose();
-        });
-      });
-    };
-  }, [isCompanionMode]);
+  // Keep one voice per track, following tracks added and removed in the room and
+  // rebuilding kit voices when the kit changes
+  useEffect(() => {
+    if (!isAudioReady) return;
+
+    Object.keys(synthsRef.current).forEach(track => {
+      const kitChanged = track in voiceKitsRef.current && voiceKitsRef.current[track] !== kit.base;
+      if (voiceTypesRef.current[track] !== trackTypes[track] || kitChanged) disposeVoice(track);
+    });
+    Object.entries(trackTypes).forEach(([track, type]) => {
+      const trackType = TRACK_TYPES[type];
+      if (synthsRef.current[track] || !trackType || !trackType.createSynth) return;
+      buildVoice(track, type);
+    });
+
+    // Apply initial parameters
+    updateSynthParams();
+  }, [isAudioReady, trackTypes, kit.base]);
 
   // WebSocket connection
   useEffect(() => {
     const connectWebSocket = () => {
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      // In development, connect to the Ruby backend on port 4567
-      // In production, use the same host as the frontend
-      const isDevelopment = window.location.hostname === 'localhost' && window.location.port === '5173';
-      const host = isDevelopment ? 'localhost:4567' : window.location.host;
-      const wsUrl = `${protocol}//${host}/`;
+      const wsUrl = `${protocol}//${getServerHost()}/`;
       
       wsRef.current = new WebSocket(wsUrl);
 
       wsRef.current.onopen = () => {
         setConnected(true);
         console.log('Connected to drum machine server');
+        wsRef.current.send(JSON.stringify({ type: 'get_history' }));
       };
 
       wsRef.current.onmessage = (event) => {
@@ -239,34 +355,109 @@ const DrumMachine = () => {
         switch (data.type) {
           case 'state_update':
             console.log('Received state update:', data.data);
-            setPattern({
-              kick: data.data.tracks.kick.pattern,
-              snare: data.data.tracks.snare.pattern,
-              hihat: data.data.tracks.hihat.pattern,
-              openhat: data.data.tracks.openhat.pattern,
-              arp: Array(16).fill(true), // Keep arp always on
-              bass: Array(16).fill(true), // Keep bass always on
-            });
-            setParams({
-              kick: data.data.tracks.kick.params,
-              snare: data.data.tracks.snare.params,
-              hihat: data.data.tracks.hihat.params,
-              openhat: data.data.tracks.openhat.params,
-              arp: { volume: 0.3, distortion: 0, delay: 0, chorus: 0, waveform: 'triangle' }, // Keep local arp params with effects
-              bass: { volume: 0.4 }, // Keep local bass params
-            });
+            setTrackTypes(mapTracks(data.data.tracks, trackData => trackData.type));
+            setPattern(mapTracks(data.data.tracks, trackData => trackData.pattern));
+            setStepData(mapTracks(data.data.tracks, getStepData));
+            setParams(mapTracks(data.data.tracks, trackData => trackData.params));
+            setBank(data.data.bank);
+            setHarmony(data.data.harmony);
+            setTiming(data.data.timing);
+            setMaster(data.data.master);
+            setReturns(data.data.returns);
+            setSidechain(data.data.sidechain);
+            setModulation(data.data.modulation);
+            setKit(data.data.kit);
+            setCustomKits(data.data.custom_kits);
+            setPerformance(data.data.performance);
             setBpm(data.data.bpm);
             setIsPlaying(data.data.playing);
             setCurrentStep(data.data.current_step);
             break;
 
+          case 'bank_update':
+            setBank(prev => ({ ...prev, ...data.data }));
+            break;
+
           case 'pattern_update':
             setPattern(prev => ({
               ...prev,
               [data.data.track]: prev[data.data.track].map((step, i) => 
-                i === data.data.step ? data.data.active : step
+                i === data.data.step ? (data.data.active && data.data.velocity) : step
               )
             }));
+            setStepData(prev => ({
+              ...prev,
+              [data.data.track]: Object.fromEntries(Object.entries(prev[data.data.track]).map(([field, values]) => [
+                field,
+                values.map((value, i) => (i === data.data.step ? data.data.step_data[field] : value))
+              ]))
+            }));
+            break;
+
+          case 'length_update':
+            setPattern(prev => ({
+              ...prev,
+              [data.data.track]: data.data.pattern
+            }));
+            setStepData(prev => ({
+              ...prev,
+              [data.data.track]: getStepData(data.data)
+            }));
+            break;
+
+          case 'welcome':
+            setClientId(data.data.client_id);
+            break;
+
+          case 'history':
+            setHistory(data.data.entries);
+            break;
+
+          case 'history_entry':
+            // New, grown (a run of knob moves) or undone/redone entry
+            setHistory(prev => {
+              const others = prev.filter(entry => entry.id !== data.data.id);
+              return [...others, data.data].sort((a, b) => a.id - b.id).slice(-MAX_HISTORY);
+            });
+            break;
+
+          case 'tracks_update':
+            // Several tracks rewritten at once by a transform or paste
+            setPattern(prev => ({ ...prev, ...mapTracks(data.data, trackData => trackData.pattern) }));
+            setStepData(prev => ({ ...prev, ...mapTracks(data.data, getStepData) }));
+            break;
+
+          case 'harmony_update':
+            setHarmony(data.data);
+            break;
+
+          case 'timing_update':
+            setTiming(data.data);
+            break;
+
+          case 'master_update':
+            setMaster(data.data);
+            break;
+
+          case 'returns_update':
+            setReturns(data.data);
+            break;
+
+          case 'sidechain_update':
+            setSidechain(data.data);
+            break;
+
+          case 'modulation_update':
+            setModulation(data.data);
+            break;
+
+          case 'kits_update':
+            setKit(data.data.kit);
+            setCustomKits(data.data.custom_kits);
+            break;
+
+          case 'performance_update':
+            setPerformance(data.data);
             break;
 
           case 'params_update':
@@ -319,6 +510,19 @@ const DrumMachine = () => {
           handlePlayStop();
         }
       }
+
+      // Ctrl/Cmd+Z undoes your last edit, with Shift (or Ctrl+Y) to redo - text fields keep their own undo
+      const isTextField = event.target.tagName === 'TEXTAREA' ||
+        (event.target.tagName === 'INPUT' && ['text', 'number'].includes(event.target.type));
+      if ((event.ctrlKey || event.metaKey) && !isTextField && connected) {
+        if (event.code === 'KeyZ') {
+          event.preventDefault();
+          sendWebSocketMessage({ type: event.shiftKey ? 'redo' : 'undo' });
+        } else if (event.code === 'KeyY') {
+          event.preventDefault();
+          sendWebSocketMessage({ type: 'redo' });
+        }
+      }
     };
 
     document.addEventListener('keydown', handleKeyPress);
@@ -328,139 +532,451 @@ const DrumMachine = () => {
     };
   }, [connected, isPlaying]);
 
-  // Update synthesizer parameters
+  // Update synthesizer parameters. Signals that parameter locks automate are only set
+  // when their param has changed - setting a signal's value cancels what's scheduled
+  // on it, which would drop the locks queued for the next steps.
   const updateSynthParams = () => {
-    if (!synthsRef.current.kick || !effectsRef.current.kick) return;
+    Object.entries(synthsRef.current).forEach(([track, synth]) => {
+      const trackParams = params[track];
+      if (!trackParams) return;
+      const applied = appliedParamsRef.current[track] || {};
+      const changed = (param) => typeof trackParams[param] === 'number' && trackParams[param] !== applied[param];
+      appliedParamsRef.current[track] = trackParams;
 
-    // Update kick parameters
-    if (synthsRef.current.kick.frequency) {
-      synthsRef.current.kick.frequency.value = params.kick.pitch;
-    }
-    synthsRef.current.kick.volume.value = Tone.gainToDb(params.kick.volume);
-    if (synthsRef.current.kick.envelope) {
-      synthsRef.current.kick.envelope.decay = params.kick.decay;
-    }
-    // Update kick effects
-    if (typeof params.kick.distortion === 'number') {
-      effectsRef.current.kick.distortion.distortion = params.kick.distortion;
-    }
-    if (typeof params.kick.delay === 'number') {
-      effectsRef.current.kick.delay.wet.value = params.kick.delay;
-    }
-    if (effectsRef.current.kick.chorus && typeof params.kick.chorus === 'number') {
-      effectsRef.current.kick.chorus.depth = params.kick.chorus;
-    }
+      if (typeof trackParams.volume === 'number') {
+        synth.volume.value = Tone.gainToDb(trackParams.volume);
+      }
+      const trackType = TRACK_TYPES[voiceTypesRef.current[track]];
+      if (trackType.applyParams) {
+        try {
+          trackType.applyParams(synth, trackParams);
+        } catch (error) {
+          console.error(`Failed to update ${track} params:`, error);
+        }
+      }
 
-    // Update snare parameters  
-    synthsRef.current.snare.volume.value = Tone.gainToDb(params.snare.volume);
-    if (synthsRef.current.snare.envelope) {
-      synthsRef.current.snare.envelope.decay = params.snare.decay;
-    }
-    // Update snare effects
-    if (typeof params.snare.distortion === 'number') {
-      effectsRef.current.snare.distortion.distortion = params.snare.distortion;
-    }
-    if (typeof params.snare.delay === 'number') {
-      effectsRef.current.snare.delay.wet.value = params.snare.delay;
-    }
-    if (effectsRef.current.snare.chorus && typeof params.snare.chorus === 'number') {
-      effectsRef.current.snare.chorus.depth = params.snare.chorus;
-    }
+      if (trackType.sample) syncSampleBuffer(track, synth, trackParams.sample);
 
-    // Update hihat parameters
-    synthsRef.current.hihat.frequency.value = params.hihat.pitch;
-    synthsRef.current.hihat.volume.value = Tone.gainToDb(params.hihat.volume);
-    if (synthsRef.current.hihat.envelope) {
-      synthsRef.current.hihat.envelope.decay = params.hihat.decay;
-    }
-    // Update hihat effects
-    if (typeof params.hihat.distortion === 'number') {
-      effectsRef.current.hihat.distortion.distortion = params.hihat.distortion;
-    }
-    if (typeof params.hihat.delay === 'number') {
-      effectsRef.current.hihat.delay.wet.value = params.hihat.delay;
-    }
-    if (effectsRef.current.hihat.chorus && typeof params.hihat.chorus === 'number') {
-      effectsRef.current.hihat.chorus.depth = params.hihat.chorus;
-    }
+      const filter = filtersRef.current[track];
+      if (trackParams.filter_type) filter.type = trackParams.filter_type;
+      if (changed('cutoff')) filter.cutoff.value = trackParams.cutoff;
+      if (changed('resonance')) filter.resonance.value = trackParams.resonance;
+      if (changed('filter_env')) filter.envAmount.value = trackParams.filter_env;
 
-    // Update open hat parameters
-    synthsRef.current.openhat.frequency.value = params.openhat.pitch;
-    synthsRef.current.openhat.volume.value = Tone.gainToDb(params.openhat.volume);
-    if (synthsRef.current.openhat.envelope) {
-      synthsRef.current.openhat.envelope.decay = params.openhat.decay;
-    }
-    // Update openhat effects
-    if (typeof params.openhat.distortion === 'number') {
-      effectsRef.current.openhat.distortion.distortion = params.openhat.distortion;
-    }
-    if (typeof params.openhat.delay === 'number') {
-      effectsRef.current.openhat.delay.wet.value = params.openhat.delay;
-    }
-    if (effectsRef.current.openhat.chorus && typeof params.openhat.chorus === 'number') {
-      effectsRef.current.openhat.chorus.depth = params.openhat.chorus;
-    }
+      const sends = sendsRef.current[track];
+      if (typeof trackParams.reverb_send === 'number') sends.reverb.gain.rampTo(trackParams.reverb_send, 0.05);
+      if (typeof trackParams.delay_send === 'number') sends.delay.gain.rampTo(trackParams.delay_send, 0.05);
 
-    // Update arp parameters
-    if (synthsRef.current.arp && typeof params.arp.volume === 'number') {
-      synthsRef.current.arp.volume.value = Tone.gainToDb(params.arp.volume);
-    }
-    // Update arp waveform
-    if (synthsRef.current.arp && params.arp.waveform) {
-      try {
-        synthsRef.current.arp.set({
-          oscillator: { type: params.arp.waveform }
-        });
-      } catch (error) {
-        console.error('Failed to set arp waveform:', error);
+      // Update effects
+      const effects = effectsRef.current[track];
+      if (!effects) return;
+      if (changed('distortion')) {
+        setDistortion(effects.distortion, trackParams.distortion);
       }
-    }
-    // Update arp effects
-    if (effectsRef.current.arp) {
-      if (typeof params.arp.distortion === 'number') {
-        effectsRef.current.arp.distortion.distortion = params.arp.distortion;
+      if (changed('delay')) {
+        effects.delay.wet.value = trackParams.delay;
       }
-      if (typeof params.arp.delay === 'number') {
-        effectsRef.current.arp.delay.wet.value = params.arp.delay;
+      if (trackParams.delay_division) {
+        effects.delay.update({
+          division: trackParams.delay_division,
+          feedback: trackParams.delay_feedback,
+          cut: trackParams.delay_cut,
+          pingPong: trackParams.delay_pingpong,
+          bpm
+        });
       }
-      if (effectsRef.current.arp.chorus && typeof params.arp.chorus === 'number') {
-        effectsRef.current.arp.chorus.depth = params.arp.chorus;
+      if (effects.chorus && changed('chorus')) {
+        effects.chorus.depth = trackParams.chorus;
       }
-    }
+    });
+  };
 
-    // Update bass parameters
-    if (synthsRef.current.bass && typeof params.bass.volume === 'number') {
-      synthsRef.current.bass.volume.value = Tone.gainToDb(params.bass.volume);
-    }
+  const setTrackSampleStatus = (track, status) => {
+    setSampleStatus(prev => {
+      const next = { ...prev };
+      if (status) next[track] = status;
+      else delete next[track];
+      return next;
+    });
   };
 
+  // Load a sample track's file into its voice when the room switches it to another one
+  const syncSampleBuffer = (track, voice, hash) => {
+    if (!hash || voiceSamplesRef.current[track] === hash) return;
+    voiceSamplesRef.current[track] = hash;
+    setTrackSampleStatus(track, 'loading');
+
+    loadSampleBuffer(getServerUrl(), hash)
+      .then(buffer => {
+        // Skip if the track has moved on to another sample or been removed meanwhile
+        if (voiceSamplesRef.current[track] !== hash || synthsRef.current[track] !== voice) return;
+        voice.setBuffer(buffer);
+        setTrackSampleStatus(track, null);
+      })
+      .catch(error => {
+        console.error(`Failed to load sample for ${track}:`, error);
+        if (voiceSamplesRef.current[track] === hash) {
+          delete voiceSamplesRef.current[track];
+          setTrackSampleStatus(track, 'LOAD FAILED');
+        }
+      });
+  };
+
+  // Echo times are note divisions, so tempo changes re-time them
   useEffect(() => {
     updateSynthParams();
-  }, [params]);
-
-  // Helper function to trigger sounds for a step
-  const triggerStepSounds = (step, time) => {
-    Object.keys(pattern).forEach(track => {
-      if (pattern[track][step] && synthsRef.current[track]) {
-        if (track === 'kick') {
-          synthsRef.current[track].triggerAttackRelease(params[track].pitch, params[track].decay, time);
-        } else if (track === 'snare') {
-          synthsRef.current[track].triggerAttackRelease(params[track].decay, time);
-        } else if (track === 'arp') {
-          // Play arpeggio note
-          const note = arpPattern[step];
-          synthsRef.current[track].triggerAttackRelease(note, '8n', time);
-        } else if (track === 'bass') {
-          // Play bass note
-          const note = bassPattern[step];
-          synthsRef.current[track].triggerAttackRelease(note, '4n', time);
-        } else {
-          synthsRef.current[track].triggerAttackRelease(params[track].pitch, params[track].decay, time);
+  }, [params, bpm]);
+
+  useEffect(() => {
+    if (masterBusRef.current) masterBusRef.current.update(master);
+  }, [master, isAudioReady]);
+
+  // The delay's division is in beats, so it's re-timed on tempo changes too
+  useEffect(() => {
+    Object.values(returnsRef.current).forEach(bus => bus.update(returns, bpm));
+  }, [returns, bpm, isAudioReady]);
+
+  // One ModLfo per LFO in the room
+  useEffect(() => {
+    if (!isAudioReady) return;
+
+    const lfos = lfosRef.current;
+    while (lfos.length > modulation.lfos.length) lfos.pop().dispose();
+    modulation.lfos.forEach((settings, index) => {
+      if (!lfos[index]) lfos[index] = new ModLfo();
+      lfos[index].update(settings);
+    });
+  }, [modulation.lfos, isAudioReady]);
+
+  // Routes to params that are signals run their LFO into the signal through a gain set
+  // to the route's amount, so the audio thread does the moving and nothing here has to
+  // fight updateSynthParams for the value. The rest are left null in modRoutesRef and
+  // moved per hit (getHitParams). Voices rebuilt for a new kit or track get their
+  // routes reconnected.
+  useEffect(() => {
+    if (!isAudioReady) return;
+
+    // The signal a route to a track's param drives, and the gain that turns a full amount
+    // into the param's full swing (MOD_DEPTHS) - null for params only moved per hit
+    const getModTarget = (track, param) => {
+      const trackParams = params[track];
+      if (!synthsRef.current[track] || !trackParams || !(param in trackParams)) return null;
+
+      const effects = effectsRef.current[track];
+      const { octaves, range } = MOD_DEPTHS[param];
+      switch (param) {
+        case 'pitch': {
+          // In cents. Sample voices have no detune - their SEMI moves per hit.
+          const detune = synthsRef.current[track].detune;
+          return detune ? { signal: detune, scale: octaves * 1200 } : null;
+        }
+        case 'cutoff':
+          return { signal: filtersRef.current[track].cutoffShift, scale: octaves };
+        case 'delay':
+          return effects ? { signal: effects.delay.wet, scale: range } : null;
+        case 'volume':
+          // The duck gain comes after the synth's own volume, so the swing is scaled by it
+          return { signal: ducksRef.current[track].gain, scale: range / Math.max(trackParams.volume, MIN_MOD_VOLUME) };
+        default:
+          return null;
+      }
+    };
+
+    const current = modRoutesRef.current;
+    const next = modulation.routes.map((route, index) => {
+      const lfo = lfosRef.current[route.lfo];
+      const target = lfo && getModTarget(route.track, route.param);
+      if (!target) return null;
+
+      const existing = current[index];
+      if (existing && existing.lfo === lfo && existing.signal === target.signal) {
+        existing.gain.gain.rampTo(route.amount * target.scale, 0.05);
+        return existing;
+      }
+      const gain = new Tone.Gain(route.amount * target.scale);
+      lfo.connect(gain);
+      gain.connect(target.signal);
+      return { lfo, signal: target.signal, gain };
+    });
+    current.forEach((route, index) => {
+      if (route && next[index] !== route) route.gain.dispose();
+    });
+    modRoutesRef.current = next;
+  }, [modulation, params, trackTypes, kit.base, isAudioReady]);
+
+  // How far the LFOs routed to a track's param have moved it at a time on the audio clock
+  const getModOffset = (track, param, time) => modulation.routes.reduce((offset, route) => {
+    const lfo = lfosRef.current[route.lfo];
+    if (route.track !== track || route.param !== param || !lfo) return offset;
+    return offset + lfo.getValueAtTime(time) * route.amount;
+  }, 0);
+
+  // A hit's params with the LFOs' values at its time applied to the routed params that
+  // aren't signals. Distortion amount and chorus depth aren't automatable, so like effect
+  // locks they're switched on the context's clock, and back to the track's own setting a
+  // step later - unless another hit on the track has taken over by then.
+  const getHitParams = (track, trackType, stepParams, time) => {
+    const perHit = new Set(modulation.routes
+      .filter((route, index) => route.track === track && route.param in stepParams && !modRoutesRef.current[index])
+      .map(route => route.param));
+    if (perHit.size === 0) return stepParams;
+
+    const hitParams = { ...stepParams };
+    perHit.forEach(param => {
+      hitParams[param] = modulateValue(param, stepParams[param], getModOffset(track, param, time), Boolean(trackType.sample));
+    });
+
+    const effects = effectsRef.current[track];
+    if (!effects) return hitParams;
+    const swaps = [];
+    if (perHit.has('distortion')) swaps.push(['distortion', value => setDistortion(effects.distortion, value)]);
+    if (effects.chorus && perHit.has('chorus')) swaps.push(['chorus', value => { effects.chorus.depth = value; }]);
+    if (swaps.length === 0) return hitParams;
+
+    const context = Tone.getContext();
+    (modRestoresRef.current[track] || []).forEach(id => context.clearTimeout(id));
+    modRestoresRef.current[track] = swaps.map(([param, apply]) => {
+      context.setTimeout(() => apply(hitParams[param]), Math.max(0, time - context.currentTime));
+      return context.setTimeout(() => apply(params[track][param]), Math.max(0, time + getStepDuration() - context.currentTime));
+    });
+    return hitParams;
+  };
+
+  // The MOD_PARAMS a voice track has, for routes to pick from
+  const getTrackModParams = (track) => {
+    const trackType = TRACK_TYPES[trackTypes[track]];
+    if (!trackType || !trackType.createSynth || !params[track]) return [];
+    return MOD_PARAMS.filter(({ value }) => value in params[track]);
+  };
+
+  // Where the LFOs have a track's knobs right now, for the rings on its sliders
+  const getModRings = (track) => {
+    if (!isAudioReady) return {};
+
+    const trackType = TRACK_TYPES[trackTypes[track]];
+    const modParams = getTrackModParams(track).map(({ value }) => value);
+    const shownParams = getShownParams(track);
+    return Object.fromEntries(modulation.routes
+      .filter(route => route.track === track && modParams.includes(route.param))
+      .map(({ param }) => [
+        param,
+        () => modulateValue(param, shownParams[param], getModOffset(track, param, Tone.immediate()), Boolean(trackType.sample))
+      ]));
+  };
+
+  // Seconds per step at the running resolution
+  const getStepDuration = () => Tone.Time(timingOriginRef.current.timing.resolution).toSeconds();
+
+  // Helper function to trigger sounds for a global step - each track plays its own position
+  const triggerStepSounds = (globalStep, time, stepPattern = pattern, stepPatternData = stepData) => {
+    // Accented steps push every voice above its normal level
+    const accented = stepPattern.accent && stepPattern.accent[globalStep % stepPattern.accent.length];
+    const accentGain = accented ? 1 + params.accent.amount : 1;
+
+    Object.keys(stepPattern).forEach(track => {
+      const length = stepPattern[track].length;
+      const step = globalStep % length;
+      const condition = stepPatternData[track] && stepPatternData[track].conditions[step];
+      const loop = Math.floor((globalStep - patternStartStepRef.current) / length);
+      const triggered = shouldTrigger(condition, { track, step, loop, fill: isFillHeld });
+
+      const voiceType = TRACK_TYPES[voiceTypesRef.current[track]];
+      if (voiceType && voiceType.arpeggiator) {
+        const held = triggered && Boolean(stepPattern[track][step]);
+        triggerArpeggio(track, globalStep, time, stepPattern, stepPatternData, held, accentGain, accented);
+        return;
+      }
+      if (!triggered) return;
+
+      if (stepPattern[track][step] && synthsRef.current[track]) {
+        const velocity = getStepVelocity(stepPattern[track][step]) * accentGain;
+        const stepDuration = getStepDuration();
+        // Parameter locks override the track's params for this step only
+        const locks = stepPatternData[track] && stepPatternData[track].locks[step];
+        const stepParams = locks ? { ...params[track], ...locks } : params[track];
+        const trackType = TRACK_TYPES[voiceTypesRef.current[track]];
+        const note = trackType.melodic
+          ? getMelodicNote(trackType, step, getChordAtStep(harmony.progression, globalStep, getStepsPerBar(timingOriginRef.current.timing)), stepPattern[track], stepPatternData[track], stepParams)
+          : null;
+        // A tied step just lets the previous note ring on
+        if (note && note.tie) return;
+        if (locks) {
+          applyEffectLocks(track, locks, time, stepDuration);
         }
+
+        // Ratchets are spread evenly across the step
+        const ratchet = stepPatternData[track] && stepPatternData[track].ratchets[step];
+        const hits = ratchet ? ratchet.count : 1;
+        for (let hit = 0; hit < hits; hit++) {
+          triggerVoice(track, time + (hit * stepDuration) / hits, velocity * getRatchetRampScale(ratchet, hit), stepParams, note, accented);
+        }
+      }
+    });
+  };
+
+  // Play the arp hits that land in this step. While its step is on, the arp holds
+  // the notes on its active steps in this bar; each hit picks one of them, moved into
+  // the bar's chord, by its index on the transport's ARP RATE grid.
+  const triggerArpeggio = (track, globalStep, time, stepPattern, stepPatternData, held, accentGain, accented) => {
+    const trackPattern = stepPattern[track];
+    const trackData = stepPatternData[track];
+    const trackType = TRACK_TYPES[voiceTypesRef.current[track]];
+    const step = globalStep % trackPattern.length;
+    const locks = trackData && trackData.locks[step];
+    const stepParams = locks ? { ...params[track], ...locks } : params[track];
+    const origin = timingOriginRef.current;
+    const stepsPerBar = getStepsPerBar(origin.timing);
+
+    if (held) {
+      const barStart = globalStep - (globalStep % stepsPerBar);
+      const notes = [];
+      for (let barStep = barStart; barStep < barStart + stepsPerBar; barStep++) {
+        const index = barStep % trackPattern.length;
+        const note = getStepNote(trackType, trackData && trackData.notes[index]);
+        if (trackPattern[index] && !note.tie && !notes.includes(note.midi)) notes.push(note.midi);
+      }
+      arpHeldRef.current[track] = { notes, velocity: getStepVelocity(trackPattern[step]) };
+      if (locks) applyEffectLocks(track, locks, time, getStepDuration());
+    } else if (!stepParams.arp_latch) {
+      delete arpHeldRef.current[track];
+    }
+    const holding = arpHeldRef.current[track];
+    if (!holding || holding.notes.length === 0) return;
+
+    const chord = getChordAtStep(harmony.progression, globalStep, stepsPerBar);
+    const harmonized = holding.notes.map(midi => harmonizeNote(midi, harmony, chord) + (stepParams.octave || 0) * 12);
+    const sequence = buildArpSequence(harmonized, stepParams.arp_mode, stepParams.arp_octaves);
+    const stepTicks = Tone.Time(origin.timing.resolution).toTicks();
+    const rateTicks = Tone.Time(stepParams.arp_rate).toTicks();
+    const stepStartTicks = Math.round(origin.ticks + (globalStep - origin.step) * stepTicks);
+    const secondsPerTick = getStepDuration() / stepTicks;
+
+    getArpHits(stepStartTicks, stepTicks, rateTicks).forEach(index => {
+      const note = {
+        frequency: Tone.Frequency(getArpNote(sequence, stepParams.arp_mode, index), 'midi').toFrequency(),
+        duration: rateTicks * secondsPerTick * stepParams.arp_gate
+      };
+      const hitTime = time + (index * rateTicks - stepStartTicks) * secondsPerTick;
+      triggerVoice(track, hitTime, holding.velocity * accentGain, stepParams, note, accented);
+    });
+  };
+
+  // Locked FX values hold for their step, then the track's own setting comes back
+  const applyEffectLocks = (track, locks, time, duration) => {
+    const filter = filtersRef.current[track];
+    [['cutoff', filter.cutoff], ['resonance', filter.resonance], ['filter_env', filter.envAmount]].forEach(([param, signal]) => {
+      if (typeof locks[param] !== 'number') return;
+      signal.setValueAtTime(locks[param], time);
+      signal.setValueAtTime(params[track][param], time + duration);
+    });
+
+    const effects = effectsRef.current[track];
+    if (!effects) return;
+
+    if (typeof locks.delay === 'number') {
+      effects.delay.wet.setValueAtTime(locks.delay, time);
+      effects.delay.wet.setValueAtTime(params[track].delay, time + duration);
+    }
+
+    // Distortion amount and chorus depth aren't automatable, so switch them on the context's clock
+    const context = Tone.getContext();
+    const scheduleSwap = (apply, locked, unlocked) => {
+      context.setTimeout(() => apply(locked), Math.max(0, time - context.currentTime));
+      context.setTimeout(() => apply(unlocked), Math.max(0, time + duration - context.currentTime));
+    };
+    if (typeof locks.distortion === 'number') {
+      scheduleSwap(value => setDistortion(effects.distortion, value), locks.distortion, params[track].distortion);
+    }
+    if (effects.chorus && typeof locks.chorus === 'number') {
+      scheduleSwap(value => { effects.chorus.depth = value; }, locks.chorus, params[track].chorus);
+    }
+  };
+
+  // Pitch and length of a melodic step in the current key and chord. The note holds
+  // over any following steps that tie into it (or, on mono voices, slide on from it).
+  const getMelodicNote = (trackType, step, chord, trackPattern, trackData, stepParams) => {
+    const note = getStepNote(trackType, trackData && trackData.notes[step]);
+    const canSlide = Boolean(trackType.slide);
+    let span = 1;
+    while (step + span < trackPattern.length && trackPattern[step + span]) {
+      const next = getStepNote(trackType, trackData && trackData.notes[step + span]);
+      if (!next.tie && !(canSlide && next.slide)) break;
+      span++;
+    }
+
+    return {
+      frequency: Tone.Frequency(harmonizeNote(note.midi, harmony, chord) + (stepParams.octave || 0) * 12, 'midi').toFrequency(),
+      duration: span > 1 ? span * getStepDuration() : trackType.noteLength,
+      tie: note.tie && step > 0 && Boolean(trackPattern[step - 1]),
+      slide: canSlide && note.slide && step > 0 && Boolean(trackPattern[step - 1])
+    };
+  };
+
+  const triggerVoice = (track, time, velocity, stepParams = params[track], note = null, accented = false) => {
+    const trackType = TRACK_TYPES[voiceTypesRef.current[track]];
+    const hitParams = getHitParams(track, trackType, stepParams, time);
+    // The filter envelope follows the hit's decay where the voice has one
+    filtersRef.current[track].trigger(time, velocity, typeof hitParams.decay === 'number' ? hitParams.decay : undefined);
+    trackType.trigger(synthsRef.current[track], { time, velocity, params: hitParams, note, accented: Boolean(accented) });
+    if (track === sidechain.source) duckTracks(time, velocity);
+  };
+
+  // Dip every track with DUCK on for a hit on the sidechain source
+  const duckTracks = (time, velocity) => {
+    Object.entries(ducksRef.current).forEach(([track, duck]) => {
+      if (track !== sidechain.source && params[track] && params[track].duck) {
+        scheduleDuck(duck.gain, time, velocity, sidechain);
       }
     });
   };
 
+  // Beat-repeat: loop the `stutterDivision`-long slice that started at the captured step.
+  // Called once per step; plays every repeat that falls inside that step.
+  const triggerBeatRepeat = (globalStep, stepPattern, stepPatternData) => {
+    const { step: sliceStep, time: sliceTime } = stutterRef.current;
+    const stepDuration = getStepDuration();
+    const sliceDuration = Tone.Time(stutterDivision).toSeconds();
+    // Measured from the slice start rather than the callback time so swing can't drop repeats
+    const windowStart = sliceTime + (globalStep - sliceStep) * stepDuration;
+    const windowEnd = windowStart + stepDuration;
+    const epsilon = 1e-6;
+
+    // Every step that begins inside the slice is replayed once per repeat
+    const sliceSteps = Math.ceil(sliceDuration / stepDuration - epsilon);
+    for (let offset = 0; offset < sliceSteps; offset++) {
+      const offsetTime = sliceTime + offset * stepDuration;
+      let repeat = Math.max(0, Math.ceil((windowStart - offsetTime) / sliceDuration - epsilon));
+      for (let hitTime = offsetTime + repeat * sliceDuration; hitTime < windowEnd - epsilon; hitTime = offsetTime + ++repeat * sliceDuration) {
+        triggerStepSounds(sliceStep + offset, hitTime, stepPattern, stepPatternData);
+      }
+    }
+  };
+
+  // Pattern and step data saved in a bank slot
+  const getSlotPattern = (slot) => {
+    const saved = bank.slots[slot] || {};
+    const slotPattern = Object.fromEntries(Object.entries(pattern).map(([track, steps]) => [
+      track,
+      saved[track] ? saved[track].pattern : Array(steps.length).fill(false)
+    ]));
+    const slotStepData = Object.fromEntries(Object.entries(stepData).map(([track, data]) => [
+      track,
+      saved[track] ? getStepData(saved[track]) : emptyStepData(data.conditions.length)
+    ]));
+    return { pattern: slotPattern, stepData: slotStepData };
+  };
+
+  // Ask the server to make the queued slot current. Every playing audio client sends this
+  // at the bar line; the server only applies the first one.
+  const requestPatternSwitch = () => {
+    sendWebSocketMessage({
+      type: 'switch_pattern',
+      from: bank.current,
+      to: bank.queued,
+      chain_position: bank.chain_position
+    });
+  };
+
   // Sequencer logic
   useEffect(() => {
     if (isPlaying) {
@@ -468,18 +984,56 @@ const DrumMachine = () => {
         // Audio mode: full audio synthesis
         Tone.Transport.bpm.value = bpm;
         Tone.Transport.swing = swing;
+        // Swing single steps rather than pairs so the shifted step never crosses into the next one
+        const loopResolution = timingOriginRef.current.timing.resolution;
+        Tone.Transport.swingSubdivision = loopResolution;
         
-        sequenceRef.current = new Tone.Sequence((time, step) => {
+        sequenceRef.current = new Tone.Loop((time) => {
+          // Skip steps this loop queued on its old grid before a resolution change rebuilt it
+          if (timingOriginRef.current.timing.resolution !== loopResolution) return;
+          let step = getStepAtTime(time, timingOriginRef.current);
+
+          let stepPattern = pattern;
+          let stepPatternData = stepData;
+          const origin = timingOriginRef.current;
+          const stepsPerBar = getStepsPerBar(origin.timing);
+          if (step % stepsPerBar === 0) {
+            // A new resolution or time signature - the live pattern's or the queued slot's -
+            // takes over on the bar line, counting on from the same bar
+            const switching = bank.queued && bank.queued !== bank.current;
+            const nextTiming = switching ? bank.timings[bank.queued] || DEFAULT_TIMING : timing;
+            if (!isSameTiming(nextTiming, origin.timing)) {
+              step = (step / stepsPerBar) * getStepsPerBar(nextTiming);
+              timingOriginRef.current = { timing: nextTiming, ticks: Math.round(Tone.Transport.getTicksAtTime(time)), step };
+              setRunningTiming(nextTiming);
+            }
+
+            // Switch to a queued pattern without waiting for the server round trip
+            if (bank.queued) {
+              if (switching) {
+                ({ pattern: stepPattern, stepData: stepPatternData } = getSlotPattern(bank.queued));
+                Tone.Draw.schedule(() => {
+                  setPattern(stepPattern);
+                  setStepData(stepPatternData);
+                }, time);
+              }
+              patternStartStepRef.current = step;
+              requestPatternSwitch();
+            }
+          }
+          if (euclidPreview && pattern[euclidPreview.track]) {
+            stepPattern = { ...stepPattern, [euclidPreview.track]: getEuclidSteps(euclidPreview) };
+          }
+
           // Apply stutter effect if active
           if (isStuttering) {
-            // Create rapid retriggering for stutter effect
-            const stutterInterval = 0.02; // 20ms between stutters
-            for (let i = 0; i < 5; i++) {
-              const stutterTime = time + (i * stutterInterval);
-              triggerStepSounds(step, stutterTime);
+            if (!stutterRef.current) {
+              stutterRef.current = { step, time };
             }
+            triggerBeatRepeat(step, stepPattern, stepPatternData);
           } else {
-            triggerStepSounds(step, time);
+            stutterRef.current = null;
+            triggerStepSounds(step, time, stepPattern, stepPatternData);
           }
 
           // Update current step for UI
@@ -490,14 +1044,17 @@ const DrumMachine = () => {
               step: step
             });
           }, time);
-        }, Array.from({length: 16}, (_, i) => i), '16n');
+        }, loopResolution);
 
-        sequenceRef.current.start(0);
+        // Steps fall on the running timing's grid, counted from where it took over
+        sequenceRef.current.start(`${timingOriginRef.current.ticks}i`);
         Tone.Transport.start();
       } else {
-        // Companion mode: visual-only sequencer using setInterval
-        const stepDuration = (60 / bpm / 4) * 1000; // Duration per 16th note in ms
+        // Companion mode: visual-only sequencer using setInterval. Its step count restarts
+        // whenever this effect re-runs, so it leaves pattern switches to the audio clients.
+        const stepDuration = getStepSeconds(timing, bpm) * 1000; // Duration per step in ms
         let currentStepLocal = 0;
+        setRunningTiming(timing);
         
         const interval = setInterval(() => {
           setCurrentStep(currentStepLocal);
@@ -505,7 +1062,7 @@ const DrumMachine = () => {
             type: 'step_update',
             step: currentStepLocal
           });
-          currentStepLocal = (currentStepLocal + 1) % 16;
+          currentStepLocal++;
         }, stepDuration);
         
         // Store interval reference for cleanup
@@ -522,6 +1079,10 @@ const DrumMachine = () => {
         Tone.Transport.stop();
       }
       setCurrentStep(0);
+      patternStartStepRef.current = 0;
+      // The next start plays the live pattern's timing from the top
+      timingOriginRef.current = { timing, ticks: 0, step: 0 };
+      setRunningTiming(timing);
     }
 
     return () => {
@@ -532,7 +1093,7 @@ const DrumMachine = () => {
         }
       }
     };
-  }, [isPlaying, pattern, params, bpm, swing, isStuttering, isCompanionMode]);
+  }, [isPlaying, pattern, stepData, params, harmony, timing, runningTiming, bank, euclidPreview, bpm, swing, isStuttering, stutterDivision, isFillHeld, sidechain, modulation, isCompanionMode]);
 
   const sendWebSocketMessage = (message) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
@@ -558,6 +1119,133 @@ const DrumMachine = () => {
     });
   };
 
+  const setStepVelocity = (track, step, velocity) => {
+    sendWebSocketMessage({
+      type: 'set_velocity',
+      track: track,
+      step: step,
+      velocity: velocity
+    });
+  };
+
+  // Vertical drag on a step sets its velocity; a plain click still toggles it
+  const handleStepPointerDown = (event, track, stepIndex) => {
+    // Holding a step points the track's knobs at its parameter locks (a latched step stays put)
+    setLockStep(prev => (prev && prev.latched ? prev : { track, step: stepIndex, latched: false }));
+    velocityDragRef.current = {
+      track,
+      stepIndex,
+      startY: event.clientY,
+      startVelocity: getStepVelocity(pattern[track][stepIndex]) || 1,
+      velocity: null
+    };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handleStepPointerMove = (event) => {
+    const drag = velocityDragRef.current;
+    if (!drag) return;
+
+    const deltaY = drag.startY - event.clientY;
+    if (drag.velocity === null && Math.abs(deltaY) < 4) return;
+
+    const velocity = Math.min(1, Math.max(MIN_VELOCITY, drag.startVelocity + deltaY / VELOCITY_DRAG_RANGE));
+    drag.velocity = Math.round(velocity * 100) / 100;
+    // Preview locally while dragging, the server gets the final value on release
+    setPattern(prev => ({
+      ...prev,
+      [drag.track]: prev[drag.track].map((step, i) => (i === drag.stepIndex ? drag.velocity : step))
+    }));
+  };
+
+  const handleStepPointerUp = () => {
+    setLockStep(prev => (prev && prev.latched ? prev : null));
+    const drag = velocityDragRef.current;
+    if (drag && drag.velocity !== null) {
+      setStepVelocity(drag.track, drag.stepIndex, drag.velocity);
+    }
+  };
+
+  const handleStepClick = (event, track, stepIndex) => {
+    const drag = velocityDragRef.current;
+    velocityDragRef.current = null;
+    // The click that ends a velocity drag must not also toggle the step
+    if (drag && drag.velocity !== null) return;
+
+    if (event.altKey) {
+      // Alt-click latches the step for locking, so a mouse can hold it and turn a knob
+      setLockStep(prev => (prev && prev.latched && prev.track === track && prev.step === stepIndex
+        ? null
+        : { track, step: stepIndex, latched: true }));
+    } else if (event.shiftKey) {
+      // Shift-click sets velocity from the click height: top of the button is full level
+      const rect = event.currentTarget.getBoundingClientRect();
+      const velocity = Math.min(1, Math.max(MIN_VELOCITY, 1 - (event.clientY - rect.top) / rect.height));
+      setStepVelocity(track, stepIndex, Math.round(velocity * 100) / 100);
+    } else {
+      toggleStep(track, stepIndex);
+    }
+  };
+
+  const setStepLocks = (track, step, locks) => {
+    sendWebSocketMessage({
+      type: 'set_lock',
+      track: track,
+      step: step,
+      locks: locks
+    });
+  };
+
+  // Params as the knobs should show them - including the locks of the step being edited
+  const getShownParams = (track) => {
+    if (!lockStep || lockStep.track !== track || !stepData[track]) return params[track];
+    return { ...params[track], ...stepData[track].locks[lockStep.step] };
+  };
+
+  // Knob changes go to the held step's locks if there is one, otherwise to the track
+  const handleParamChange = (track, param, value) => {
+    if (lockStep && lockStep.track === track && LOCKABLE_PARAMS.includes(param) && stepData[track]) {
+      setStepLocks(track, lockStep.step, { [param]: value });
+    } else {
+      updateParams(track, { ...params[track], [param]: value });
+    }
+  };
+
+  const setStepRatchet = (track, step, ratchet) => {
+    sendWebSocketMessage({
+      type: 'set_ratchet',
+      track: track,
+      step: step,
+      ratchet: ratchet
+    });
+  };
+
+  const setStepCondition = (track, step, condition) => {
+    sendWebSocketMessage({
+      type: 'set_condition',
+      track: track,
+      step: step,
+      condition: condition
+    });
+  };
+
+  const setStepNote = (track, step, note) => {
+    sendWebSocketMessage({
+      type: 'set_note',
+      track: track,
+      step: step,
+      note: note
+    });
+  };
+
+  const setTrackLength = (track, length) => {
+    sendWebSocketMessage({
+      type: 'set_track_length',
+      track: track,
+      length: Math.min(MAX_TRACK_LENGTH, Math.max(1, length))
+    });
+  };
+
   const updateParams = (track, newParams) => {
     // Update local state immediately for responsive UI
     setParams(prev => ({
@@ -579,6 +1267,59 @@ const DrumMachine = () => {
     }, 100); // 100ms debounce delay
   };
 
+  const handleMasterChange = (param, value) => {
+    const newMaster = { ...master, [param]: value };
+    setMaster(newMaster);
+
+    // Debounced like track params
+    clearTimeout(masterUpdateTimeout.current);
+    masterUpdateTimeout.current = setTimeout(() => {
+      sendWebSocketMessage({
+        type: 'set_master',
+        master: newMaster
+      });
+    }, 100);
+  };
+
+  const handleReturnsChange = (param, value) => {
+    const newReturns = { ...returns, [param]: value };
+    setReturns(newReturns);
+
+    clearTimeout(returnsUpdateTimeout.current);
+    returnsUpdateTimeout.current = setTimeout(() => {
+      sendWebSocketMessage({
+        type: 'set_returns',
+        returns: newReturns
+      });
+    }, 100);
+  };
+
+  const handleSidechainChange = (param, value) => {
+    const newSidechain = { ...sidechain, [param]: value };
+    setSidechain(newSidechain);
+
+    clearTimeout(sidechainUpdateTimeout.current);
+    sidechainUpdateTimeout.current = setTimeout(() => {
+      sendWebSocketMessage({
+        type: 'set_sidechain',
+        sidechain: newSidechain
+      });
+    }, 100);
+  };
+
+  // LFOs and routes go to the server whole - see ModMatrixPanel
+  const handleModulationChange = (newModulation) => {
+    setModulation(newModulation);
+
+    clearTimeout(modulationUpdateTimeout.current);
+    modulationUpdateTimeout.current = setTimeout(() => {
+      sendWebSocketMessage({
+        type: 'set_modulation',
+        modulation: newModulation
+      });
+    }, 100);
+  };
+
   const handlePlayStop = async () => {
     if (isPlaying) {
       // Stop
@@ -612,6 +1353,167 @@ const DrumMachine = () => {
     });
   };
 
+  const handlePerformanceChange = (changes) => {
+    if (localPerformance) {
+      setLocalPerformance(prev => ({ ...prev, ...changes }));
+      return;
+    }
+    // Apply straight away so held buttons respond without the round trip
+    setPerformance(prev => ({ ...prev, ...changes }));
+    sendWebSocketMessage({
+      type: 'set_performance',
+      performance: changes
+    });
+  };
+
+  // STUTTER and FILL are held down - only the client holding one lets it go
+  const pressControl = (control) => {
+    heldControlsRef.current[control] = true;
+    handlePerformanceChange({ [control]: true });
+  };
+
+  const releaseControl = (control) => {
+    if (!heldControlsRef.current[control]) return;
+    delete heldControlsRef.current[control];
+    handlePerformanceChange({ [control]: false });
+  };
+
+  const toggleLocalPerformance = () => {
+    Object.keys(heldControlsRef.current).forEach(releaseControl);
+    setLocalPerformance(localPerformance ? null : { ...performance, stutter: false, fill: false });
+  };
+
+  const handleQueuePattern = (slot) => {
+    sendWebSocketMessage({
+      type: 'queue_pattern',
+      slot: slot
+    });
+  };
+
+  const handleSetChain = (chain) => {
+    sendWebSocketMessage({
+      type: 'set_chain',
+      chain: chain
+    });
+  };
+
+  // Generated steps for a Euclidean preview, keeping the velocity of steps that stay on
+  const getEuclidSteps = ({ track, pulses, steps, rotation }) =>
+    euclideanRhythm(pulses, steps, rotation).map((on, i) => on && (getStepVelocity(pattern[track][i]) || 1));
+
+  // What the grid shows for a track - the preview while one is being auditioned
+  const getShownSteps = (track) =>
+    euclidPreview && euclidPreview.track === track ? getEuclidSteps(euclidPreview) : pattern[track];
+
+  const toggleEuclidPreview = (track) => {
+    if (euclidPreview && euclidPreview.track === track) {
+      setEuclidPreview(null);
+      return;
+    }
+    const steps = pattern[track];
+    setEuclidPreview({ track, pulses: steps.filter(Boolean).length, steps: steps.length, rotation: 0 });
+  };
+
+  // Send the previewed rhythm to the room as one update
+  const applyEuclidPreview = () => {
+    sendWebSocketMessage({
+      type: 'set_track_pattern',
+      track: euclidPreview.track,
+      pattern: getEuclidSteps(euclidPreview)
+    });
+    setEuclidPreview(null);
+  };
+
+  // Upload a dropped or picked file (skipped if the server already has it) and point
+  // the track at it - everyone else then fetches it by hash
+  const handleSampleFile = async (track, file) => {
+    if (!file) return;
+    setTrackSampleStatus(track, 'uploading');
+    try {
+      const hash = await uploadSample(getServerUrl(), file);
+      const sampleParams = { sample: hash, sample_name: file.name };
+      setParams(prev => ({ ...prev, [track]: { ...prev[track], ...sampleParams } }));
+      sendWebSocketMessage({
+        type: 'update_params',
+        track: track,
+        params: sampleParams
+      });
+      setTrackSampleStatus(track, null);
+    } catch (error) {
+      console.error(`Failed to upload sample for ${track}:`, error);
+      setTrackSampleStatus(track, error.message);
+    }
+  };
+
+  // A track's steps as the server stores them
+  const getTrackSteps = (track) => ({ pattern: pattern[track], ...stepData[track] });
+
+  // Copy one track, or every track when none is given. Pasting works across tracks
+  // and, after switching, across pattern slots.
+  const handleCopy = (track = null) => {
+    setClipboard(track
+      ? { kind: 'track', steps: getTrackSteps(track) }
+      : { kind: 'pattern', tracks: Object.fromEntries(Object.keys(pattern).map(id => [id, getTrackSteps(id)])) });
+  };
+
+  const handlePaste = (track = null) => {
+    sendWebSocketMessage({
+      type: 'paste_pattern',
+      tracks: track ? { [track]: clipboard.steps } : clipboard.tracks
+    });
+  };
+
+  const handleTransform = (operation, options = {}, track = null) => {
+    sendWebSocketMessage({
+      type: 'transform_pattern',
+      operation: operation,
+      track: track,
+      ...options
+    });
+  };
+
+  const handleTimingChange = (changes) => {
+    sendWebSocketMessage({
+      type: 'set_timing',
+      timing: changes
+    });
+  };
+
+  const handleHarmonyChange = (changes) => {
+    sendWebSocketMessage({
+      type: 'set_harmony',
+      harmony: changes
+    });
+  };
+
+  const handleKitSelect = (name) => {
+    sendWebSocketMessage({
+      type: 'set_kit',
+      kit: name
+    });
+  };
+
+  const handleKitSave = (name) => {
+    sendWebSocketMessage({
+      type: 'save_kit',
+      name: name
+    });
+  };
+
+  const handleAddTrack = (type) => {
+    sendWebSocketMessage({
+      type: 'add_track',
+      track_type: type
+    });
+  };
+
+  const handleRemoveTrack = (track) => {
+    sendWebSocketMessage({
+      type: 'remove_track',
+      track: track
+    });
+  };
+
   const handleClearPattern = () => {
     console.log('Clearing pattern...');
     sendWebSocketMessage({
@@ -673,6 +1575,10 @@ const DrumMachine = () => {
           analyzers={analyzersRef.current}
           isPlaying={isPlaying}
           currentStep={currentStep}
+          trackLengths={Object.fromEntries(Object.entries(pattern).map(([track, steps]) => [track, steps.length]))}
+          trackColors={Object.fromEntries(Object.entries(trackTypes).map(([track, type]) => [track, TRACK_TYPES[type].colors.visual]))}
+          stepsPerBar={getStepsPerBar(runningTiming)}
+          beatsPerBar={getBeatsPerBar(runningTiming)}
           isBackground={true}
         />
       </div>
@@ -785,7 +1691,7 @@ const DrumMachine = () => {
                   max="1"
                   step="0.1"
                   value={swing}
-                  onChange={(e) => setSwing(parseFloat(e.target.value))}
+                  onChange={(e) => handlePerformanceChange({ swing: parseFloat(e.target.value) })}
                   disabled={!connected}
                   className="accent-purple-400"
                   style={{ width: '8rem', height: '0.75rem' }}
@@ -794,9 +1700,9 @@ const DrumMachine = () => {
               </div>
               
               <button
-                onMouseDown={() => setIsStuttering(true)}
-                onMouseUp={() => setIsStuttering(false)}
-                onMouseLeave={() => setIsStuttering(false)}
+                onMouseDown={() => pressControl('stutter')}
+                onMouseUp={() => releaseControl('stutter')}
+                onMouseLeave={() => releaseControl('stutter')}
                 disabled={!connected || !isPlaying}
                 className={`bg-gradient-to-b rounded-xl font-bold text-slate-900 shadow-lg border-2 transition-all duration-200 transform active:scale-95 ${
                   isStuttering
@@ -807,201 +1713,505 @@ const DrumMachine = () => {
               >
                 {isStuttering ? '🔥 STUTTER' : '⚡ STUTTER'}
               </button>
+              <select
+                value={stutterDivision}
+                onChange={(e) => handlePerformanceChange({ stutter_division: e.target.value })}
+                disabled={!connected}
+                className="bg-slate-900 text-violet-300 border-2 border-slate-600 rounded-xl px-3 py-2 font-mono font-bold"
+                style={{ fontSize: '1.25rem' }}
+                title="Beat-repeat length"
+              >
+                {STUTTER_DIVISIONS.map(division => (
+                  <option key={division.value} value={division.value}>{division.label}</option>
+                ))}
+              </select>
+
+              <button
+                onMouseDown={() => pressControl('fill')}
+                onMouseUp={() => releaseControl('fill')}
+                onMouseLeave={() => releaseControl('fill')}
+                disabled={!connected || !isPlaying}
+                className={`bg-gradient-to-b rounded-xl font-bold text-slate-900 shadow-lg border-2 transition-all duration-200 transform active:scale-95 ${
+                  isFillHeld
+                    ? 'from-yellow-300 to-yellow-400 border-yellow-500 scale-95'
+                    : 'from-sky-400 to-sky-500 hover:from-sky-300 hover:to-sky-400 border-sky-600'
+                } disabled:from-slate-400 disabled:to-slate-500 disabled:border-slate-600`}
+                style={{ padding: '1.5rem 2rem', fontSize: '1.25rem', minHeight: '4rem', minWidth: '6rem' }}
+                title="Hold to play FILL trigs"
+              >
+                {isFillHeld ? '🥁 FILL' : '🎯 FILL'}
+              </button>
+
+              <button
+                onClick={toggleLocalPerformance}
+                disabled={!connected}
+                className={`rounded-xl font-bold border-2 transition-all duration-200 ${
+                  localPerformance
+                    ? 'bg-amber-400 text-slate-900 border-amber-600'
+                    : 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+                }`}
+                style={{ padding: '1.5rem 1.5rem', fontSize: '1.25rem', minHeight: '4rem' }}
+                title={localPerformance
+                  ? 'SWING, STUTTER and FILL only change what you hear - click to follow the room again'
+                  : 'Audition SWING, STUTTER and FILL without changing them for the room'}
+              >
+                {localPerformance ? '🎧 LOCAL' : '👥 SHARED'}
+              </button>
+            </div>
+
+            {/* Pattern Bank and Song Chain */}
+            <PatternBank
+              bank={bank}
+              timing={timing}
+              runningTiming={runningTiming}
+              connected={connected}
+              onQueue={handleQueuePattern}
+              onSetChain={handleSetChain}
+              onTimingChange={handleTimingChange}
+            />
+
+            {/* Undo/redo and the room's edit history */}
+            <HistoryPanel
+              entries={history}
+              clientId={clientId}
+              connected={connected}
+              onUndo={() => sendWebSocketMessage({ type: 'undo' })}
+              onRedo={() => sendWebSocketMessage({ type: 'redo' })}
+              onRestoreClear={() => sendWebSocketMessage({ type: 'restore_clear' })}
+            />
+
+            {/* Whole-pattern transforms */}
+            <div className="mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+              <TransformTools
+                label="ALL TRACKS:"
+                density={randomDensity}
+                canPaste={clipboard && clipboard.kind === 'pattern'}
+                connected={connected}
+                onTransform={(operation, options) => handleTransform(operation, options)}
+                onCopy={() => handleCopy()}
+                onPaste={() => handlePaste()}
+                onDensityChange={setRandomDensity}
+              />
             </div>
 
+            {/* Key, scale and chord progression for the arp and bass */}
+            <HarmonyPanel
+              harmony={harmony}
+              currentChordIndex={isPlaying ? Math.floor(currentStep / getStepsPerBar(runningTiming)) % harmony.progression.length : 0}
+              connected={connected}
+              onChange={handleHarmonyChange}
+            />
+
+            {/* Drum kit */}
+            <KitPanel
+              kit={kit}
+              customKits={customKits}
+              connected={connected}
+              onSelect={handleKitSelect}
+              onSave={handleKitSave}
+            />
+
+            {/* Master bus */}
+            <MasterPanel
+              master={master}
+              bus={isAudioReady ? masterBusRef.current : null}
+              connected={connected}
+              onChange={handleMasterChange}
+            />
+
+            {/* Reverb and delay returns */}
+            <ReturnsPanel returns={returns} connected={connected} onChange={handleReturnsChange} />
+
+            {/* Sidechain ducking */}
+            <SidechainPanel
+              sidechain={sidechain}
+              tracks={Object.keys(trackTypes).filter(track => TRACK_TYPES[trackTypes[track]].createSynth)}
+              connected={connected}
+              onChange={handleSidechainChange}
+            />
+
+            {/* LFOs and the modulation matrix */}
+            <ModMatrixPanel
+              modulation={modulation}
+              trackModParams={Object.fromEntries(Object.keys(trackTypes)
+                .filter(track => TRACK_TYPES[trackTypes[track]].createSynth)
+                .map(track => [track, getTrackModParams(track)]))}
+              connected={connected}
+              onChange={handleModulationChange}
+            />
+
             {/* Pattern Grid */}
             <div className="space-y-4">
-              {Object.keys(pattern).map(track => (
-                <div key={track} className="p-6 bg-slate-700/20 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
-                  <div className="flex items-center justify-between mb-6">
-                    <h3 className="text-3xl font-bold text-slate-100 capitalize bg-slate-800 py-3 px-8 rounded-lg border-2 border-slate-600 text-center tracking-wider">
-                      {track.toUpperCase()}
-                    </h3>
-                    
-                    {/* Parameter Controls */}
-                    <div className="flex items-center gap-6 text-sm">
-                      {track === 'bass' ? (
-                        // Bass track - only volume control
-                        <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                          <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">VOL:</label>
-                          <input
-                            type="range"
-                            min="0"
-                            max="1"
-                            step="0.1"
-                            value={params[track].volume}
-                            onChange={(e) => updateParams(track, { ...params[track], volume: parseFloat(e.target.value) })}
-                            disabled={false}
-                            className="w-20 accent-cyan-400"
-                          />
-                          <span className="w-10 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[track].volume}</span>
-                        </div>
-                      ) : track === 'arp' ? (
-                        // Arp track - volume and waveform controls
-                        <>
-                          <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                            <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">VOL:</label>
-                            <input
-                              type="range"
-                              min="0"
-                              max="1"
-                              step="0.1"
-                              value={params[track].volume}
-                              onChange={(e) => updateParams(track, { ...params[track], volume: parseFloat(e.target.value) })}
-                              disabled={false}
-                              className="w-20 accent-cyan-400"
-                            />
-                            <span className="w-10 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[track].volume}</span>
-                          </div>
-                          
-                          <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                            <label className="text-yellow-300 font-bold tracking-wider w-16 text-left">WAVE:</label>
-                            <select
-                              value={params[track].waveform}
-                              onChange={(e) => updateParams(track, { ...params[track], waveform: e.target.value })}
-                              disabled={false}
-                              className="w-24 bg-slate-900 text-yellow-300 border border-slate-600 rounded px-2 py-1 text-sm font-mono"
-                            >
-                              <option value="sine">SINE</option>
-                              <option value="triangle">TRI</option>
-                              <option value="square">SQR</option>
-                              <option value="sawtooth">SAW</option>
-                            </select>
-                          </div>
-                        </>
-                      ) : (
-                        // Drum tracks - full controls
-                        <>
-                          <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                            <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">PITCH:</label>
-                            <input
-                              type="range"
-                              min={track === 'kick' ? 40 : 100}
-                              max={track === 'kick' ? 120 : 2000}
-                              value={params[track].pitch}
-                              onChange={(e) => updateParams(track, { ...params[track], pitch: parseInt(e.target.value) })}
-                              disabled={!connected}
-                              className="w-20 accent-cyan-400"
-                            />
-                            <span className="w-12 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[track].pitch}</span>
-                          </div>
-                          
-                          <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                            <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">DECAY:</label>
-                            <input
-                              type="range"
-                              min="0.1"
-                              max="2"
-                              step="0.1"
-                              value={params[track].decay}
-                              onChange={(e) => updateParams(track, { ...params[track], decay: parseFloat(e.target.value) })}
-                              disabled={!connected}
-                              className="w-20 accent-cyan-400"
-                            />
-                            <span className="w-10 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[track].decay}</span>
-                          </div>
-                          
-                          <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
-                            <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">VOL:</label>
-                            <input
-                              type="range"
-                              min="0"
-                              max="1"
-                              step="0.1"
-                              value={params[track].volume}
-                              onChange={(e) => updateParams(track, { ...params[track], volume: parseFloat(e.target.value) })}
-                              disabled={!connected}
-                              className="w-20 accent-cyan-400"
-                            />
-                            <span className="w-10 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[track].volume}</span>
-                          </div>
-                        </>
+              {Object.keys(pattern).map(track => {
+                const trackType = TRACK_TYPES[trackTypes[track]];
+                const modRings = getModRings(track);
+                // Sample tracks take an audio file dropped anywhere on them
+                const dropProps = trackType.sample && connected ? {
+                  onDragOver: (e) => e.preventDefault(),
+                  onDrop: (e) => {
+                    e.preventDefault();
+                    handleSampleFile(track, e.dataTransfer.files[0]);
+                  }
+                } : {};
+                return (
+                  <div key={track} {...dropProps} className="p-6 bg-slate-700/20 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+                    <div className="flex items-center justify-between mb-6">
+                      <h3 className="text-3xl font-bold text-slate-100 capitalize bg-slate-800 py-3 px-8 rounded-lg border-2 border-slate-600 text-center tracking-wider">
+                        {track.toUpperCase()}
+                      </h3>
+
+                      {/* Track length */}
+                      <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600 text-sm">
+                        <label className="text-amber-300 font-bold tracking-wider text-left">LEN:</label>
+                        <button
+                          onClick={() => setTrackLength(track, pattern[track].length - 1)}
+                          disabled={!connected || pattern[track].length <= 1}
+                          className="w-6 h-6 rounded bg-slate-700 text-amber-300 font-bold border border-slate-600 disabled:opacity-50"
+                        >
+                          −
+                        </button>
+                        <input
+                          type="number"
+                          min="1"
+                          max={MAX_TRACK_LENGTH}
+                          value={pattern[track].length}
+                          onChange={(e) => setTrackLength(track, parseInt(e.target.value) || 1)}
+                          disabled={!connected}
+                          className="w-12 text-pink-300 font-mono bg-slate-900 px-1 py-1 rounded border border-slate-600 text-center"
+                        />
+                        <button
+                          onClick={() => setTrackLength(track, pattern[track].length + 1)}
+                          disabled={!connected || pattern[track].length >= MAX_TRACK_LENGTH}
+                          className="w-6 h-6 rounded bg-slate-700 text-amber-300 font-bold border border-slate-600 disabled:opacity-50"
+                        >
+                          +
+                        </button>
+                      </div>
+
+                      {!trackType.melodic && (
+                        <button
+                          onClick={() => toggleEuclidPreview(track)}
+                          disabled={!connected}
+                          title="Generate a Euclidean rhythm for this track"
+                          className={`px-4 py-2 rounded-lg border font-bold tracking-wider text-sm disabled:opacity-50 ${
+                            euclidPreview && euclidPreview.track === track
+                              ? 'bg-amber-500 text-slate-900 border-amber-300'
+                              : 'bg-slate-800 text-amber-300 border-slate-600'
+                          }`}
+                        >
+                          EUCLID
+                        </button>
+                      )}
+
+                      {/* Parameter Controls */}
+                      <TrackControls
+                        controls={trackType.controls}
+                        params={getShownParams(track)}
+                        connected={connected}
+                        onChange={(param, value) => handleParamChange(track, param, value)}
+                        modulation={modRings}
+                      />
+
+                      {trackType !== TRACK_TYPES.accent && (
+                        <button
+                          onClick={() => handleRemoveTrack(track)}
+                          disabled={!connected}
+                          title="Remove this track for everyone"
+                          className="px-3 py-2 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold disabled:opacity-50"
+                        >
+                          ✕
+                        </button>
                       )}
                     </div>
-                  </div>
                   
-                  {/* Effects Controls - for drum tracks and arp */}
-                  {track !== 'bass' && (
-                    <div className="flex items-center justify-end mb-4">
-                      <div className="flex items-center gap-4 text-sm">
-                        <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
-                          <label className="text-orange-300 font-bold tracking-wider w-12 text-left">DIST:</label>
+                    {/* Track transforms */}
+                    <div className="flex justify-end mb-4">
+                      <TransformTools
+                        density={randomDensity}
+                        canPaste={clipboard && clipboard.kind === 'track'}
+                        connected={connected}
+                        onTransform={(operation, options) => handleTransform(operation, options, track)}
+                        onCopy={() => handleCopy(track)}
+                        onPaste={() => handlePaste(track)}
+                      />
+                    </div>
+
+                    {/* Loaded sample - drop a file on the track or pick one */}
+                    {trackType.sample && (
+                      <div className="flex items-center justify-end gap-4 mb-4 text-sm">
+                        <span className="font-mono text-slate-300">
+                          {sampleStatus[track]
+                            ? sampleStatus[track].toUpperCase()
+                            : params[track].sample_name || 'DROP A WAV / MP3 / OGG HERE'}
+                        </span>
+                        <label className={`px-3 py-1 rounded-lg bg-slate-800 text-amber-300 border border-slate-600 font-bold ${
+                          connected ? 'cursor-pointer' : 'opacity-50'
+                        }`}>
+                          LOAD
                           <input
-                            type="range"
-                            min="0"
-                            max="1"
-                            step="0.1"
-                            value={params[track].distortion}
-                            onChange={(e) => updateParams(track, { ...params[track], distortion: parseFloat(e.target.value) })}
+                            type="file"
+                            accept=".wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg"
                             disabled={!connected}
-                            className="w-16 accent-orange-400"
+                            onChange={(e) => {
+                              handleSampleFile(track, e.target.files[0]);
+                              e.target.value = '';
+                            }}
+                            className="hidden"
                           />
-                          <span className="w-8 text-orange-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{params[track].distortion}</span>
-                        </div>
+                        </label>
+                      </div>
+                    )}
+
+                    {/* Parameter lock status - knobs above and below edit this step */}
+                    {lockStep && lockStep.track === track && stepData[track] && (
+                      <div className="flex items-center justify-end gap-4 mb-4 text-sm">
+                        <span className="font-bold text-cyan-300 tracking-wider">
+                          🔒 LOCKING STEP {lockStep.step + 1}
+                        </span>
+                        <button
+                          onClick={() => setStepLocks(track, lockStep.step, null)}
+                          disabled={!connected || !stepData[track].locks[lockStep.step]}
+                          className="px-3 py-1 rounded-lg bg-slate-800 text-amber-300 border border-slate-600 font-bold disabled:opacity-50"
+                        >
+                          CLEAR LOCKS
+                        </button>
+                        {lockStep.latched && (
+                          <button
+                            onClick={() => setLockStep(null)}
+                            className="px-3 py-1 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold"
+                          >
+                            DONE
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Filter - every voice has one in front of its effects */}
+                    {trackType.createSynth && (
+                      <div className="flex items-center justify-end mb-4">
+                        <TrackControls
+                          controls={FILTER_CONTROLS}
+                          params={getShownParams(track)}
+                          connected={connected}
+                          onChange={(param, value) => handleParamChange(track, param, value)}
+                          modulation={modRings}
+                        />
+                      </div>
+                    )}
+
+                    {/* Sends to the shared reverb and delay, and the sidechain duck switch */}
+                    {trackType.createSynth && (
+                      <div className="flex items-center justify-end mb-4">
+                        <TrackControls
+                          controls={SEND_CONTROLS}
+                          params={getShownParams(track)}
+                          connected={connected}
+                          onChange={(param, value) => handleParamChange(track, param, value)}
+                        />
+                      </div>
+                    )}
+
+                    {/* Effects Controls - for track types with an effects chain */}
+                    {trackType.effects && (
+                      <div className="flex items-center justify-end mb-4">
+                        <div className="flex items-center gap-4 text-sm">
+                          <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
+                            <label className="text-orange-300 font-bold tracking-wider w-12 text-left">DIST:</label>
+                            <span className="relative flex items-center">
+                              <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.1"
+                                value={getShownParams(track).distortion}
+                                onChange={(e) => handleParamChange(track, 'distortion', parseFloat(e.target.value))}
+                                disabled={!connected}
+                                className="w-16 accent-orange-400"
+                              />
+                              {modRings.distortion && <ModRing getPosition={modRings.distortion} />}
+                            </span>
+                            <span className="w-8 text-orange-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{getShownParams(track).distortion}</span>
+                          </div>
                         
-                        <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
-                          <label className="text-green-300 font-bold tracking-wider w-12 text-left">ECHO:</label>
-                          <input
-                            type="range"
-                            min="0"
-                            max="1"
-                            step="0.1"
-                            value={params[track].delay}
-                            onChange={(e) => updateParams(track, { ...params[track], delay: parseFloat(e.target.value) })}
-                            disabled={!connected}
-                            className="w-16 accent-green-400"
-                          />
-                          <span className="w-8 text-green-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{params[track].delay}</span>
-                        </div>
+                          <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
+                            <label className="text-green-300 font-bold tracking-wider w-12 text-left">ECHO:</label>
+                            <span className="relative flex items-center">
+                              <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.1"
+                                value={getShownParams(track).delay}
+                                onChange={(e) => handleParamChange(track, 'delay', parseFloat(e.target.value))}
+                                disabled={!connected}
+                                className="w-16 accent-green-400"
+                              />
+                              {modRings.delay && <ModRing getPosition={modRings.delay} />}
+                            </span>
+                            <span className="w-8 text-green-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{getShownParams(track).delay}</span>
+                          </div>
                         
-                        <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
-                          <label className="text-purple-300 font-bold tracking-wider w-12 text-left">CHORUS:</label>
-                          <input
-                            type="range"
-                            min="0"
-                            max="1"
-                            step="0.1"
-                            value={params[track].chorus}
-                            onChange={(e) => updateParams(track, { ...params[track], chorus: parseFloat(e.target.value) })}
-                            disabled={!connected}
-                            className="w-16 accent-purple-400"
-                          />
-                          <span className="w-8 text-purple-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{params[track].chorus}</span>
+                          <div className="flex items-center gap-2 bg-slate-900 px-3 py-2 rounded-lg border border-slate-700">
+                            <label className="text-purple-300 font-bold tracking-wider w-12 text-left">CHORUS:</label>
+                            <span className="relative flex items-center">
+                              <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.1"
+                                value={getShownParams(track).chorus}
+                                onChange={(e) => handleParamChange(track, 'chorus', parseFloat(e.target.value))}
+                                disabled={!connected}
+                                className="w-16 accent-purple-400"
+                              />
+                              {modRings.chorus && <ModRing getPosition={modRings.chorus} />}
+                            </span>
+                            <span className="w-8 text-purple-300 font-mono bg-slate-800 px-1 py-1 rounded border border-slate-700 text-center text-xs">{getShownParams(track).chorus}</span>
+                          </div>
                         </div>
                       </div>
-                    </div>
-                  )}
+                    )}
+
+                    {/* Echo time, feedback, high-cut and stereo mode */}
+                    {trackType.effects && (
+                      <div className="flex items-center justify-end mb-4">
+                        <TrackControls
+                          controls={ECHO_CONTROLS}
+                          params={getShownParams(track)}
+                          connected={connected}
+                          onChange={(param, value) => handleParamChange(track, param, value)}
+                        />
+                      </div>
+                    )}
                   
-                  {/* Step Grid */}
-                  <div className="grid grid-cols-16 gap-3 p-4 bg-slate-800/20 rounded-xl border-2 border-slate-600/20 backdrop-blur-sm">
-                    {pattern[track].map((active, stepIndex) => (
-                      <button
-                        key={stepIndex}
-                        onClick={() => {
-                          console.log(`Clicking ${track} step ${stepIndex}, currently: ${active}`);
-                          if (track !== 'arp' && track !== 'bass') {
-                            toggleStep(track, stepIndex);
-                          }
-                        }}
-                        disabled={!connected && track !== 'arp' && track !== 'bass'}
-                        className={`w-12 h-12 rounded-lg border-2 font-bold text-xs transition-all duration-200 transform ${
-                          track === 'arp' || track === 'bass' ? 'cursor-default' : 'cursor-pointer hover:scale-105 active:scale-95'
-                        } ${
-                          currentStep === stepIndex ? 'ring-4 ring-white scale-110' : ''
-                        } ${(!connected && track !== 'arp' && track !== 'bass') ? 'opacity-50 cursor-not-allowed' : ''}`}
-                        style={{
-                          backgroundColor: active ? (track === 'arp' ? '#10b981' : track === 'bass' ? '#8b5cf6' : '#f97316') : '#374151',
-                          borderColor: active ? (track === 'arp' ? '#059669' : track === 'bass' ? '#7c3aed' : '#ea580c') : '#4b5563',
-                          color: active ? 'white' : '#d1d5db',
-                          boxShadow: active ? `0 10px 15px -3px ${track === 'arp' ? 'rgba(16, 185, 129, 0.5)' : track === 'bass' ? 'rgba(139, 92, 246, 0.5)' : 'rgba(249, 115, 22, 0.5)'}` : 'none'
-                        }}
-                      >
-                        {active ? '●' : stepIndex + 1}
-                      </button>
-                    ))}
+                    {euclidPreview && euclidPreview.track === track && (
+                      <EuclidPanel
+                        track={track}
+                        preview={euclidPreview}
+                        connected={connected}
+                        onChange={setEuclidPreview}
+                        onApply={applyEuclidPreview}
+                        onCancel={() => setEuclidPreview(null)}
+                      />
+                    )}
+
+                    {/* Step Grid */}
+                    <div className={`grid grid-cols-16 gap-3 p-4 bg-slate-800/20 rounded-xl border-2 backdrop-blur-sm ${
+                      euclidPreview && euclidPreview.track === track ? 'border-dashed border-amber-400/60' : 'border-slate-600/20'
+                    }`}>
+                      {getShownSteps(track).map((active, stepIndex, shownSteps) => {
+                        const isPreview = euclidPreview && euclidPreview.track === track;
+                        const isMelodic = Boolean(trackType.melodic);
+                        const velocity = getStepVelocity(active);
+                        const condition = stepData[track] && stepData[track].conditions[stepIndex];
+                        const ratchet = stepData[track] && stepData[track].ratchets[stepIndex];
+                        const locks = stepData[track] && stepData[track].locks[stepIndex];
+                        const note = isMelodic && getStepNote(trackType, stepData[track].notes[stepIndex]);
+                        const isLockTarget = lockStep && lockStep.track === track && lockStep.step === stepIndex;
+                        return (
+                          <button
+                            key={stepIndex}
+                            onPointerDown={(e) => handleStepPointerDown(e, track, stepIndex)}
+                            onPointerMove={handleStepPointerMove}
+                            onPointerUp={handleStepPointerUp}
+                            onClick={(e) => {
+                              console.log(`Clicking ${track} step ${stepIndex}, currently: ${active}`);
+                              handleStepClick(e, track, stepIndex);
+                            }}
+                            onContextMenu={(e) => {
+                              // Right-click opens the step editor
+                              e.preventDefault();
+                              setEditingStep({ track, step: stepIndex });
+                            }}
+                            disabled={!connected || isPreview}
+                            title={`Click to toggle - drag up/down or shift-click to set velocity - right-click for ${isMelodic ? 'note and ' : ''}conditions - hold or alt-click to lock knobs`}
+                            className={`relative overflow-hidden w-12 h-12 rounded-lg border-2 font-bold text-xs transition-all duration-200 transform touch-none cursor-pointer hover:scale-105 active:scale-95 ${
+                              currentStep % shownSteps.length === stepIndex ? 'ring-4 ring-white scale-110' : ''
+                            } ${isLockTarget ? 'ring-4 ring-cyan-300' : ''} ${!connected ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            style={{
+                              backgroundColor: '#374151',
+                              borderColor: active ? trackType.colors.border : '#4b5563',
+                              color: active ? 'white' : '#d1d5db',
+                              boxShadow: active ? `0 10px 15px -3px ${trackType.colors.glow}` : 'none'
+                            }}
+                          >
+                            {/* Velocity level - fills the step from the bottom */}
+                            {active && (
+                              <span
+                                className="absolute inset-x-0 bottom-0 pointer-events-none"
+                                style={{
+                                  height: `${velocity * 100}%`,
+                                  backgroundColor: trackType.colors.fill
+                                }}
+                              />
+                            )}
+                            <span className="relative pointer-events-none">
+                              {active && note ? (note.tie ? '—' : `${note.slide ? '↗' : ''}${Tone.Frequency(note.midi, 'midi').toNote()}`) : active ? '●' : stepIndex + 1}
+                            </span>
+                            {/* Parameter lock marker */}
+                            {locks && (
+                              <span className="absolute bottom-0 left-0.5 text-[0.6rem] leading-tight text-cyan-200 pointer-events-none">
+                                ◆
+                              </span>
+                            )}
+                            {/* Ratchet count badge */}
+                            {ratchet && (
+                              <span className="absolute bottom-0 right-0.5 text-[0.6rem] leading-tight text-amber-200 pointer-events-none">
+                                ×{ratchet.count}
+                              </span>
+                            )}
+                            {/* Trig condition badge */}
+                            {condition && (
+                              <span className="absolute top-0 inset-x-0 text-[0.55rem] leading-tight text-cyan-200 bg-slate-900/70 pointer-events-none">
+                                {formatCondition(condition)}
+                              </span>
+                            )}
+                          </button>
+                        );
+                      })}
+                    </div>
+
+                    {editingStep && editingStep.track === track && editingStep.step < pattern[track].length && trackType.melodic && (
+                      <NoteEditor
+                        track={track}
+                        step={editingStep.step}
+                        note={getStepNote(trackType, stepData[track].notes[editingStep.step])}
+                        canSlide={Boolean(trackType.slide)}
+                        connected={connected}
+                        onNoteChange={(note) => setStepNote(track, editingStep.step, note)}
+                      />
+                    )}
+                    {editingStep && editingStep.track === track && editingStep.step < pattern[track].length && (
+                      <StepEditor
+                        track={track}
+                        step={editingStep.step}
+                        condition={stepData[track].conditions[editingStep.step]}
+                        ratchet={stepData[track].ratchets[editingStep.step]}
+                        connected={connected}
+                        onConditionChange={(condition) => setStepCondition(track, editingStep.step, condition)}
+                        onRatchetChange={(ratchet) => setStepRatchet(track, editingStep.step, ratchet)}
+                        onClose={() => setEditingStep(null)}
+                      />
+                    )}
                   </div>
-                </div>
-              ))}
+                );
+              })}
+
+              {/* Add a track of any registered type */}
+              <div className="flex items-center justify-center gap-3 p-4 bg-slate-700/20 rounded-2xl border-4 border-dashed border-slate-600/40">
+                <label className="font-bold text-amber-300 tracking-wider">ADD TRACK:</label>
+                <select
+                  value=""
+                  onChange={(e) => handleAddTrack(e.target.value)}
+                  disabled={!connected || Object.keys(pattern).length >= MAX_TRACKS}
+                  className="bg-slate-900 text-amber-300 border border-slate-600 rounded px-2 py-1 font-mono disabled:opacity-50"
+                >
+                  <option value="" disabled>CHOOSE…</option>
+                  {ADDABLE_TRACK_TYPES.map(type => (
+                    <option key={type} value={type}>{TRACK_TYPES[type].label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
         </div>
@@ -1062,11 +2272,80 @@ const DrumMachine = () => {
             </h2>
             
             <p style={{ marginBottom: '16px' }}>
-              <strong>Step Sequencer:</strong> Click numbered buttons to create a 16-step drum pattern.
+              <strong>Step Sequencer:</strong> Click numbered buttons to create a drum pattern. Set each track's <strong>LEN</strong> (1-64 steps) to play different lengths against each other.
             </p>
             <p style={{ marginBottom: '16px' }}>
               🟠 <strong>Orange buttons</strong> = sound will play | ⬜ <strong>Gray buttons</strong> = silent step
             </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Tracks:</strong> Use <strong>ADD TRACK</strong> under the grid to bring in a clap, tom, rim, cowbell or another copy of any voice, and ✕ on a track to remove it - for everyone in the room.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Samples:</strong> Add a <strong>SAMPLE</strong> track and drop a WAV, MP3 or OGG file on it (or press <strong>LOAD</strong>). Everyone in the room gets the same file. Trim it with START/END, flip it with DIR and shape it with SEMI, ATTACK and RELEASE.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Euclid:</strong> Press <strong>EUCLID</strong> on a track and set PULSES, STEPS and ROTATE to spread hits evenly. You hear the result straight away but nobody else does until you press <strong>APPLY</strong>.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Undo:</strong> <kbd style={{ background: '#374151', padding: '2px 6px', borderRadius: '4px', fontSize: '12px' }}>Ctrl+Z</kbd> undoes your own last edit and <kbd style={{ background: '#374151', padding: '2px 6px', borderRadius: '4px', fontSize: '12px' }}>Ctrl+Shift+Z</kbd> redoes it - anything someone else changed since stays put. <strong>RESTORE BEFORE CLEAR</strong> brings back what the last CLEAR wiped. <strong>SHOW</strong> lists the room's recent edits.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Edit tools:</strong> Each track (and <strong>ALL TRACKS</strong>) has COPY/PASTE, ◀ ▶ to nudge with wraparound, REV, INV, ×2, ÷2 and RAND at the chosen DENSITY. Copy a pattern, switch slot and paste to move it between slots.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Step options:</strong> Right-click a step to give it a probability or a rule - play on the 1st of every 2 loops ("1:2"), only the first loop, or only while <strong>FILL</strong> is held - and to add ratchets (up to 8 hits per step).
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Arp and bass:</strong> These steps play notes. Right-click one to pick its note, <strong>TIE</strong> it to the note before or make the bass <strong>SLIDE</strong> into it. <strong>OCT</strong> shifts the whole line.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Arpeggiator:</strong> While an arp step is on, the arp holds the notes of its active steps in that bar, moved into the bar's chord, and plays them one at a time: <strong>MODE</strong> up, down, up/down, random or in the order they were written, at <strong>RATE</strong> (1/4 to 1/32 or triplets) across <strong>RANGE</strong> octaves. <strong>GATE</strong> sets how long each note lasts and <strong>LATCH</strong> keeps it playing through off steps.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Acid bass:</strong> The bass has its own resonant filter: <strong>WAVE</strong> picks saw or square, <strong>ACID</strong> and <strong>RESO</strong> set its cutoff and resonance, <strong>ENV MOD</strong> is how far each note sweeps it open and <strong>DECAY</strong> how fast it closes. Steps on the accent lane sweep further by <strong>ACCENT</strong>.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Key and chords:</strong> Arp and bass notes are written in C major. <strong>KEY</strong> moves them to another key and scale, and <strong>CHORDS</strong> (e.g. "I vi IV V") shifts them to a new chord every bar - for everyone in the room.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Filter:</strong> Every track has a LP/HP/BP <strong>FILTER</strong> before its effects. <strong>CUTOFF</strong> and <strong>RES</strong> shape the tone and <strong>ENV</strong> sweeps the cutoff up on each hit.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Kits:</strong> <strong>KIT</strong> switches the kick, snare and hats between 808, 909, lo-fi and industrial for the whole room, resetting their sounds. Tweak them and press <strong>SAVE KIT</strong> to keep your version as a new kit anyone can pick.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Snare:</strong> <strong>PITCH</strong> tunes the drum's body and <strong>DECAY</strong> sets its length. <strong>SNAPPY</strong> mixes in the noisy snare wires and <strong>SNAP DEC</strong> sets how long they ring.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Echo:</strong> <strong>ECHO</strong> sets how much of a track goes through its own delay. <strong>TIME</strong> is a note length that follows the tempo (1/4 to 1/16, dotted 1/8 or triplets), <strong>FDBK</strong> brings back more repeats, <strong>HI-CUT</strong> darkens them and <strong>STEREO</strong> set to P.PONG bounces them between left and right.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Master:</strong> Every track plays through the room's master bus - a LOW/MID/HIGH <strong>EQ</strong>, a compressor (<strong>THRESH</strong>, <strong>RATIO</strong>, with its gain reduction on the <strong>GR</strong> meter), a limiter <strong>CEILING</strong> and the <strong>MASTER</strong> fader.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Sends:</strong> Each track's <strong>REVERB</strong> and <strong>PING</strong> knobs send it to the room's shared reverb (SIZE, DECAY, PRE-delay, DAMPing) and tempo-synced ping-pong delay (TIME, FDBK, FILTER).
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Ducking:</strong> Every hit on the <strong>SOURCE</strong> track (the kick to start with) dips the tracks with <strong>DUCK</strong> on - the arp and bass by default - by <strong>AMOUNT</strong>, over <strong>ATTACK</strong>, recovering over <strong>RELEASE</strong>.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Modulation:</strong> The room has two to four LFOs - <strong>SHAPE</strong> sine, triangle, square or S&amp;H (a new random level each cycle), synced to the tempo at a note <strong>RATE</strong> or running <strong>FREE</strong> in <strong>HZ</strong>. Each <strong>ROUTE</strong> moves one track's PITCH, DECAY, CUTOFF, DIST, ECHO, CHORUS or VOL either way from its knob by <strong>AMOUNT</strong> (negative flips it); a glowing ring on the slider shows where it is. Pitch and cutoff swing by octaves. PITCH, CUTOFF, ECHO and VOL sweep smoothly; DECAY, DIST, CHORUS and a sample's SEMI change from hit to hit.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Parameter locks:</strong> Hold a step (or alt-click it to latch) and turn PITCH, DECAY, CUTOFF, RES, ENV, DIST, ECHO or CHORUS to change that step only. Locked steps show a ◆.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Velocity:</strong> Drag a step up or down (or shift-click it) to set how hard it plays - the fill shows the level. Steps on the <strong>ACCENT</strong> lane make every track hit harder.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Performance:</strong> SWING, STUTTER and FILL play for the whole room. Press <strong>SHARED</strong> to switch to <strong>LOCAL</strong> and try them out where only you hear it.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Patterns:</strong> Slots A-H each hold a pattern. Pick one to switch at the end of the bar, or type a <strong>CHAIN</strong> like "A A B A C" to play them in order. The switch comes from the devices playing audio; companions follow it.
+            </p>
+            <p style={{ marginBottom: '16px' }}>
+              <strong>Grid:</strong> Each pattern has its own step length (1/8 to 1/32, or 1/8T and 1/16T triplets for shuffles) and time signature (4/4, 3/4, 5/4, 7/8, 6/8). Changes take over at the next bar line; the bar line across the top of the visualizer follows the meter.
+            </p>
             <p style={{ marginBottom: '16px' }}>
               <strong>Controls:</strong> ▶ PLAY/STOP (or press <kbd style={{ background: '#374151', padding: '2px 6px', borderRadius: '4px', fontSize: '12px' }}>SPACEBAR</kbd>), ✕ CLEAR, TEMPO slider, and sound parameters (PITCH/DECAY/VOL)
             </p>
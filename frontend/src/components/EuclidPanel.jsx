@@ -0,0 +1,62 @@
+const MAX_TRACK_LENGTH = 64;
+
+// Pulses / steps / rotation for a track's Euclidean generator. Changes only preview
+// locally until APPLY sends the result to the room.
+const EuclidPanel = ({ track, preview, connected, onChange, onApply, onCancel }) => {
+  const { pulses, steps, rotation } = preview;
+
+  const controls = [
+    { key: 'pulses', label: 'PULSES', min: 0, max: steps, value: pulses },
+    { key: 'steps', label: 'STEPS', min: 1, max: MAX_TRACK_LENGTH, value: steps },
+    { key: 'rotation', label: 'ROTATE', min: 0, max: steps - 1, value: rotation }
+  ];
+
+  const handleChange = (key, value) => {
+    const next = { ...preview, [key]: value };
+    // Keep pulses and rotation inside a shortened pattern
+    next.pulses = Math.min(next.pulses, next.steps);
+    next.rotation = Math.min(next.rotation, next.steps - 1);
+    onChange(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mb-4 p-4 bg-slate-900/80 rounded-xl border-2 border-dashed border-amber-400/60 text-sm">
+      <span className="font-bold text-amber-300 tracking-wider">
+        {track.toUpperCase()} EUCLID
+      </span>
+
+      {controls.map(({ key, label, min, max, value }) => (
+        <div key={key} className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+          <label className="text-amber-300 font-bold tracking-wider text-left">{label}:</label>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            value={value}
+            onChange={(e) => handleChange(key, parseInt(e.target.value))}
+            className="w-24 accent-amber-400"
+          />
+          <span className="w-10 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{value}</span>
+        </div>
+      ))}
+
+      <span className="text-slate-400 italic">Previewing - only you hear this</span>
+
+      <button
+        onClick={onApply}
+        disabled={!connected}
+        className="px-3 py-2 rounded-lg bg-amber-500 text-slate-900 border border-amber-300 font-bold disabled:opacity-50"
+      >
+        APPLY
+      </button>
+      <button
+        onClick={onCancel}
+        className="px-3 py-2 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default EuclidPanel;
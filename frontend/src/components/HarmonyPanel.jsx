@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { NOTE_NAMES, SCALES, PROGRESSION_PRESETS, parseProgression, formatChord } from '../lib/harmony';
+
+// Room-wide key, scale and chord progression that the arp and bass follow
+const HarmonyPanel = ({ harmony, currentChordIndex, connected, onChange }) => {
+  const [progressionText, setProgressionText] = useState(harmony.progression.join(' '));
+
+  // Follow progression edits made by other collaborators
+  useEffect(() => {
+    setProgressionText(harmony.progression.join(' '));
+  }, [harmony.progression]);
+
+  const commitProgression = (text) => {
+    const progression = parseProgression(text);
+    if (progression.length > 0 && progression.join(' ') !== harmony.progression.join(' ')) {
+      onChange({ progression });
+    } else {
+      setProgressionText(harmony.progression.join(' '));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-6 mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+      <div className="flex items-center gap-3 bg-slate-700 rounded-xl border-2 border-slate-600 px-4 py-2">
+        <label className="font-bold text-emerald-300 tracking-wider" style={{ fontSize: '1.25rem' }}>KEY:</label>
+        <select
+          value={harmony.root}
+          onChange={(e) => onChange({ root: parseInt(e.target.value) })}
+          disabled={!connected}
+          className="bg-slate-900 text-emerald-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          {NOTE_NAMES.map((name, index) => (
+            <option key={name} value={index}>{name}</option>
+          ))}
+        </select>
+        <select
+          value={harmony.scale}
+          onChange={(e) => onChange({ scale: e.target.value })}
+          disabled={!connected}
+          className="bg-slate-900 text-emerald-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          {Object.entries(SCALES).map(([scale, { label }]) => (
+            <option key={scale} value={scale}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-3 bg-slate-700 rounded-xl border-2 border-slate-600 px-4 py-2">
+        <label className="font-bold text-purple-300 tracking-wider" style={{ fontSize: '1.25rem' }}>CHORDS:</label>
+        <input
+          type="text"
+          value={progressionText}
+          placeholder="I vi IV V"
+          onChange={(e) => setProgressionText(e.target.value)}
+          onBlur={() => commitProgression(progressionText)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitProgression(progressionText);
+          }}
+          disabled={!connected}
+          className="w-40 bg-slate-900 text-pink-300 font-mono border border-slate-600 rounded px-2 py-1"
+        />
+        <select
+          value=""
+          onChange={(e) => commitProgression(e.target.value)}
+          disabled={!connected}
+          className="bg-slate-900 text-purple-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          <option value="" disabled>PRESET</option>
+          {PROGRESSION_PRESETS.map(preset => (
+            <option key={preset} value={preset}>{preset}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-1 font-mono">
+          {harmony.progression.map((numeral, index) => (
+            <span
+              key={index}
+              title={numeral}
+              className={`px-2 py-1 rounded ${
+                index === currentChordIndex ? 'bg-emerald-500 text-slate-900' : 'bg-slate-900 text-slate-400'
+              }`}
+            >
+              {formatChord(numeral, harmony)}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HarmonyPanel;
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+
+const ACTION_LABELS = {
+  toggle_step: 'Step',
+  set_velocity: 'Velocity',
+  set_condition: 'Condition',
+  set_lock: 'Lock',
+  set_note: 'Note',
+  set_ratchet: 'Ratchet',
+  update_params: 'Sound',
+  set_track_length: 'Length',
+  set_track_pattern: 'Euclid',
+  transform_pattern: 'Transform',
+  paste_pattern: 'Paste',
+  set_harmony: 'Key/chords',
+  set_timing: 'Grid',
+  set_master: 'Master',
+  set_returns: 'Returns',
+  set_sidechain: 'Ducking',
+  set_modulation: 'Modulation',
+  set_kit: 'Kit',
+  clear_pattern: 'CLEAR'
+};
+
+const SHOWN_ENTRIES = 20;
+
+// Mirrors the server's undo_target / redo_target so the buttons know when they'd do something
+const canUndo = (entries, author) => entries.some(entry => entry.author === author && !entry.undone);
+
+const canRedo = (entries, author) => {
+  const mine = entries.filter(entry => entry.author === author);
+  const live = mine.map(entry => !entry.undone).lastIndexOf(true);
+  return mine.slice(live + 1).some(entry => entry.undone);
+};
+
+// Undo/redo for your own edits, the room's recent history, and a way back from CLEAR
+const HistoryPanel = ({ entries, clientId, connected, onUndo, onRedo, onRestoreClear }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const hasClear = entries.some(entry => entry.action === 'clear_pattern' && !entry.undone);
+
+  return (
+    <div className="mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-bold text-sky-300 tracking-wider mr-2">HISTORY:</span>
+        <button
+          onClick={onUndo}
+          disabled={!connected || !canUndo(entries, clientId)}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-sky-300 border border-slate-600 font-bold disabled:opacity-50"
+          title="Undo your last edit (Ctrl+Z)"
+        >
+          ↶ UNDO
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!connected || !canRedo(entries, clientId)}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-sky-300 border border-slate-600 font-bold disabled:opacity-50"
+          title="Redo your last undone edit (Ctrl+Shift+Z)"
+        >
+          ↷ REDO
+        </button>
+        <button
+          onClick={onRestoreClear}
+          disabled={!connected || !hasClear}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-amber-300 border border-slate-600 font-bold disabled:opacity-50"
+          title="Bring back the pattern the last CLEAR wiped, keeping anything added since"
+        >
+          RESTORE BEFORE CLEAR
+        </button>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-slate-300 border border-slate-600 font-bold"
+        >
+          {isOpen ? '▲ HIDE' : '▼ SHOW'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <ol className="mt-4 space-y-1 font-mono text-sm">
+          {entries.slice(-SHOWN_ENTRIES).reverse().map(entry => (
+            <li key={entry.id} className={`flex gap-4 ${entry.undone ? 'text-slate-500 line-through' : 'text-slate-300'}`}>
+              <span className="w-20 text-slate-500">{new Date(entry.time * 1000).toLocaleTimeString()}</span>
+              <span className={`w-16 ${entry.author === clientId ? 'text-sky-300' : 'text-pink-300'}`}>
+                {entry.author === clientId ? 'you' : entry.author}
+              </span>
+              <span className="w-28">{ACTION_LABELS[entry.action] || entry.action}</span>
+              <span className="text-slate-400">{entry.tracks.join(', ')}</span>
+            </li>
+          ))}
+          {entries.length === 0 && <li className="text-slate-500 italic">No edits yet</li>}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
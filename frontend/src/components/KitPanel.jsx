@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { KITS } from '../lib/kits';
+
+// Room-wide drum kit picker, and saving the current kick/snare/hat sounds as a new kit
+const KitPanel = ({ kit, customKits, connected, onSelect, onSave }) => {
+  const [name, setName] = useState('');
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-6 mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+      <div className="flex items-center gap-3 bg-slate-700 rounded-xl border-2 border-slate-600 px-4 py-2">
+        <label className="font-bold text-rose-300 tracking-wider" style={{ fontSize: '1.25rem' }}>KIT:</label>
+        <select
+          value={kit.name}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={!connected}
+          className="bg-slate-900 text-rose-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          {Object.entries(KITS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+          {Object.keys(customKits).length > 0 && (
+            <optgroup label="SAVED">
+              {Object.values(customKits).map(({ name: kitName, base }) => (
+                <option key={kitName} value={kitName}>{kitName} ({KITS[base] ? KITS[base].label : base})</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <input
+          type="text"
+          value={name}
+          maxLength={20}
+          placeholder="Kit name"
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save();
+          }}
+          disabled={!connected}
+          className="w-40 bg-slate-900 text-rose-300 border border-slate-600 rounded px-2 py-1 font-mono text-sm"
+        />
+        <button
+          onClick={save}
+          disabled={!connected || !name.trim() || Boolean(KITS[name.trim()])}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold disabled:opacity-50"
+          title="Save the kick, snare and hat sounds as a kit everyone in the room can pick"
+        >
+          SAVE KIT
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KitPanel;
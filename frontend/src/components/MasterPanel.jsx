@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import TrackControls from './TrackControls';
+import { MASTER_CONTROLS } from '../lib/masterBus';
+
+const EQ_PARAMS = ['low', 'mid', 'high'];
+// The meter's full scale, in dB of gain reduction
+const METER_RANGE = 24;
+
+// Room-wide master bus: EQ, compressor (with its gain reduction), limiter ceiling and fader.
+// `bus` is this client's MasterBus - absent in companion mode, where there's no audio.
+const MasterPanel = ({ master, bus, connected, onChange }) => {
+  const [reduction, setReduction] = useState(0);
+
+  useEffect(() => {
+    if (!bus) return;
+
+    let frame;
+    const update = () => {
+      setReduction(Math.min(0, bus.reduction));
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [bus]);
+
+  return (
+    <div className="mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm space-y-4">
+      <div className="flex items-center gap-6">
+        <span className="font-bold text-orange-300 tracking-wider w-20">EQ:</span>
+        <TrackControls
+          controls={MASTER_CONTROLS.filter(control => EQ_PARAMS.includes(control.param))}
+          params={master}
+          connected={connected}
+          onChange={onChange}
+        />
+      </div>
+      <div className="flex items-center gap-6">
+        <span className="font-bold text-orange-300 tracking-wider w-20">MASTER:</span>
+        <TrackControls
+          controls={MASTER_CONTROLS.filter(control => !EQ_PARAMS.includes(control.param))}
+          params={master}
+          connected={connected}
+          onChange={onChange}
+        />
+        {bus && (
+          <div className="flex items-center gap-2 text-sm" title="Gain reduction from the compressor">
+            <span className="text-cyan-300 font-bold tracking-wider">GR:</span>
+            <div className="w-32 h-3 bg-slate-900 rounded border border-slate-600 overflow-hidden flex justify-end">
+              <div
+                className="h-full bg-orange-400"
+                style={{ width: `${Math.min(100, (-reduction / METER_RANGE) * 100)}%` }}
+              />
+            </div>
+            <span className="w-16 text-pink-300 font-mono text-right">{reduction.toFixed(1)} dB</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MasterPanel;
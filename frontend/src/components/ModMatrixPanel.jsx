@@ -0,0 +1,107 @@
+import TrackControls from './TrackControls';
+import { LFO_SHAPES, LFO_DIVISIONS, DEFAULT_LFO, MIN_LFOS, MAX_LFOS, MAX_MOD_ROUTES } from '../lib/modulation';
+
+const SHAPE_CONTROL = { param: 'shape', label: 'SHAPE', options: LFO_SHAPES };
+const SYNC_CONTROL = {
+  param: 'sync',
+  label: 'SYNC',
+  options: [{ value: true, label: 'TEMPO' }, { value: false, label: 'FREE' }]
+};
+const DIVISION_CONTROL = { param: 'division', label: 'RATE', options: LFO_DIVISIONS };
+const HZ_CONTROL = { param: 'hz', label: 'HZ', min: 0.05, max: 10, step: 0.05 };
+const AMOUNT_CONTROL = { param: 'amount', label: 'AMOUNT', min: -1, max: 1, step: 0.05 };
+
+// Room-wide LFOs and the matrix routing them to track params. `trackModParams` is each
+// voice track's MOD_PARAMS options - a route can only pick params its track has.
+const ModMatrixPanel = ({ modulation, trackModParams, connected, onChange }) => {
+  const { lfos, routes } = modulation;
+  const tracks = Object.keys(trackModParams);
+  const getTrackModParams = track => trackModParams[track] || [];
+
+  const setLfos = (nextLfos) => onChange({
+    lfos: nextLfos,
+    routes: routes.filter(route => route.lfo < nextLfos.length)
+  });
+  const setRoutes = (nextRoutes) => onChange({ lfos, routes: nextRoutes });
+
+  const changeRoute = (index, param, value) => {
+    const route = { ...routes[index], [param]: value };
+    // A track without the routed param falls back to its filter, which every voice has
+    if (param === 'track' && !getTrackModParams(value).some(option => option.value === route.param)) {
+      route.param = 'cutoff';
+    }
+    setRoutes(routes.map((other, i) => (i === index ? route : other)));
+  };
+
+  const lfoOptions = lfos.map((_, index) => ({ value: index, label: `LFO ${index + 1}` }));
+
+  return (
+    <div className="mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm space-y-4">
+      {lfos.map((lfo, index) => (
+        <div key={index} className="flex items-center gap-6">
+          <span className="font-bold text-fuchsia-300 tracking-wider w-20">LFO {index + 1}:</span>
+          <TrackControls
+            controls={[SHAPE_CONTROL, SYNC_CONTROL, lfo.sync ? DIVISION_CONTROL : HZ_CONTROL]}
+            params={lfo}
+            connected={connected}
+            onChange={(param, value) => setLfos(lfos.map((other, i) => (i === index ? { ...other, [param]: value } : other)))}
+          />
+          {index === lfos.length - 1 && index >= MIN_LFOS && (
+            <button
+              onClick={() => setLfos(lfos.slice(0, -1))}
+              disabled={!connected}
+              title="Remove this LFO and its routes"
+              className="px-3 py-2 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold disabled:opacity-50"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      {routes.map((route, index) => (
+        <div key={index} className="flex items-center gap-6">
+          <span className="font-bold text-fuchsia-300 tracking-wider w-20">ROUTE:</span>
+          <TrackControls
+            controls={[
+              { param: 'lfo', label: 'FROM', options: lfoOptions },
+              { param: 'track', label: 'TRACK', options: tracks.map(track => ({ value: track, label: track.toUpperCase() })) },
+              { param: 'param', label: 'TO', options: getTrackModParams(route.track) },
+              AMOUNT_CONTROL
+            ]}
+            params={route}
+            connected={connected}
+            onChange={(param, value) => changeRoute(index, param, value)}
+          />
+          <button
+            onClick={() => setRoutes(routes.filter((_, i) => i !== index))}
+            disabled={!connected}
+            title="Remove this route"
+            className="px-3 py-2 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold disabled:opacity-50"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="flex items-center gap-4">
+        <button
+          onClick={() => setLfos([...lfos, DEFAULT_LFO])}
+          disabled={!connected || lfos.length >= MAX_LFOS}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-fuchsia-300 border border-slate-600 font-bold disabled:opacity-50"
+        >
+          + LFO
+        </button>
+        <button
+          onClick={() => setRoutes([...routes, { lfo: 0, track: tracks[0], param: 'cutoff', amount: 0.5 }])}
+          disabled={!connected || tracks.length === 0 || routes.length >= MAX_MOD_ROUTES}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-fuchsia-300 border border-slate-600 font-bold disabled:opacity-50"
+        >
+          + ROUTE
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModMatrixPanel;
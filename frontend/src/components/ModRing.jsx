@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+// Ring riding over a slider where modulation has moved its param. `getPosition` gives
+// that spot along the slider (0-1); it's read every frame and drawn straight onto the
+// ring, so the LFOs never re-render the track.
+const ModRing = ({ getPosition }) => {
+  const ringRef = useRef(null);
+
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      const position = Math.min(1, Math.max(0, getPosition()));
+      if (ringRef.current) ringRef.current.style.left = `${position * 100}%`;
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [getPosition]);
+
+  return (
+    <span
+      ref={ringRef}
+      className="pointer-events-none absolute top-1/2 w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-fuchsia-400 shadow-[0_0_6px_rgba(232,121,249,0.8)]"
+    />
+  );
+};
+
+export default ModRing;
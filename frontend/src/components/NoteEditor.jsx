@@ -0,0 +1,87 @@
+const MIN_NOTE = 24;
+const MAX_NOTE = 96;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Note picker for one step of a melodic track: a one-octave keyboard plus tie and slide
+const NoteEditor = ({ track, step, note, canSlide, connected, onNoteChange }) => {
+  const octaveStart = note.midi - (note.midi % 12);
+  const octave = octaveStart / 12 - 1;
+
+  const setMidi = (midi) => onNoteChange({ ...note, midi: Math.min(MAX_NOTE, Math.max(MIN_NOTE, midi)) });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mt-4 p-4 bg-slate-900/80 rounded-xl border-2 border-emerald-400/40 text-sm">
+      <span className="font-bold text-emerald-300 tracking-wider">
+        {track.toUpperCase()} STEP {step + 1}
+      </span>
+
+      <div className="flex items-center gap-1 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        <label className="text-emerald-300 font-bold tracking-wider text-left mr-1">NOTE:</label>
+        {NOTE_NAMES.map((name, index) => {
+          const midi = octaveStart + index;
+          const isBlack = name.includes('#');
+          return (
+            <button
+              key={name}
+              onClick={() => setMidi(midi)}
+              disabled={!connected || midi < MIN_NOTE || midi > MAX_NOTE}
+              className={`w-7 h-10 rounded-b border font-mono text-[0.6rem] flex items-end justify-center pb-1 disabled:opacity-50 ${
+                midi === note.midi
+                  ? 'bg-emerald-400 border-emerald-200 text-slate-900'
+                  : isBlack
+                    ? 'bg-slate-950 border-slate-600 text-slate-400'
+                    : 'bg-slate-200 border-slate-400 text-slate-700'
+              }`}
+            >
+              {name}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        <label className="text-yellow-300 font-bold tracking-wider text-left">OCT:</label>
+        <button
+          onClick={() => setMidi(note.midi - 12)}
+          disabled={!connected || note.midi - 12 < MIN_NOTE}
+          className="w-6 h-6 rounded bg-slate-700 text-yellow-300 font-bold border border-slate-600 disabled:opacity-50"
+        >
+          −
+        </button>
+        <span className="w-8 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{octave}</span>
+        <button
+          onClick={() => setMidi(note.midi + 12)}
+          disabled={!connected || note.midi + 12 > MAX_NOTE}
+          className="w-6 h-6 rounded bg-slate-700 text-yellow-300 font-bold border border-slate-600 disabled:opacity-50"
+        >
+          +
+        </button>
+      </div>
+
+      <button
+        onClick={() => onNoteChange({ ...note, tie: !note.tie, slide: false })}
+        disabled={!connected}
+        title="Hold the previous note through this step"
+        className={`px-3 py-2 rounded-lg border font-bold ${
+          note.tie ? 'bg-emerald-500 text-slate-900 border-emerald-300' : 'bg-slate-800 text-emerald-300 border-slate-600'
+        }`}
+      >
+        TIE
+      </button>
+      {canSlide && (
+        <button
+          onClick={() => onNoteChange({ ...note, slide: !note.slide, tie: false })}
+          disabled={!connected}
+          title="Glide from the previous note without retriggering"
+          className={`px-3 py-2 rounded-lg border font-bold ${
+            note.slide ? 'bg-purple-500 text-slate-900 border-purple-300' : 'bg-slate-800 text-purple-300 border-slate-600'
+          }`}
+        >
+          SLIDE
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default NoteEditor;
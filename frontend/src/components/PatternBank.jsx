@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { RESOLUTIONS, TIME_SIGNATURES, isSameTiming } from '../lib/timing';
+
+const PATTERN_SLOTS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+// Parse chain text such as "A A B A C" (or "AABAC") into slot names
+const parseChain = (text) =>
+  text.toUpperCase().split('').filter(char => PATTERN_SLOTS.includes(char));
+
+const PatternBank = ({ bank, timing, runningTiming, connected, onQueue, onSetChain, onTimingChange }) => {
+  const [chainText, setChainText] = useState(bank.chain.join(' '));
+
+  // Follow chain edits made by other collaborators
+  useEffect(() => {
+    setChainText(bank.chain.join(' '));
+  }, [bank.chain]);
+
+  // Only send real edits - re-sending the same chain would restart it
+  const commitChain = () => {
+    const chain = parseChain(chainText);
+    if (chain.join('') !== bank.chain.join('')) onSetChain(chain);
+  };
+
+  // chain_position points at the queued entry, so the one before it is playing
+  const playingChainIndex = bank.chain.length > 0
+    ? (bank.chain_position - 1 + bank.chain.length) % bank.chain.length
+    : -1;
+
+  return (
+    <div className="flex flex-wrap items-center gap-6 mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+      <div className="flex items-center gap-3">
+        <label className="font-bold text-cyan-300 tracking-wider" style={{ fontSize: '1.25rem' }}>PATTERN:</label>
+        {PATTERN_SLOTS.map(slot => {
+          const isCurrent = bank.current === slot;
+          const isQueued = bank.queued === slot && !isCurrent;
+          return (
+            <button
+              key={slot}
+              onClick={() => onQueue(slot)}
+              disabled={!connected}
+              className={`w-12 h-12 rounded-lg border-2 font-bold text-lg transition-all duration-200 transform active:scale-95 disabled:opacity-50 ${
+                isCurrent
+                  ? 'bg-cyan-500 border-cyan-300 text-slate-900 shadow-lg shadow-cyan-500/50'
+                  : isQueued
+                    ? 'bg-slate-700 border-cyan-400 text-cyan-200 animate-pulse'
+                    : 'bg-slate-700 border-slate-600 text-slate-300 hover:bg-slate-600'
+              }`}
+              title={isCurrent ? 'Playing' : isQueued ? 'Queued - switches at the end of the bar' : `Switch to pattern ${slot}`}
+            >
+              {slot}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Step resolution and time signature of the live pattern */}
+      <div
+        className="flex items-center gap-3 bg-slate-700 rounded-xl border-2 border-slate-600 px-4 py-2"
+        title={isSameTiming(timing, runningTiming) ? 'Step length and meter of this pattern' : 'Changes at the end of the bar'}
+      >
+        <label className="font-bold text-amber-300 tracking-wider" style={{ fontSize: '1.25rem' }}>GRID:</label>
+        <select
+          value={timing.resolution}
+          onChange={(e) => onTimingChange({ resolution: e.target.value })}
+          disabled={!connected}
+          className="bg-slate-900 text-amber-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          {RESOLUTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={timing.time_signature}
+          onChange={(e) => onTimingChange({ time_signature: e.target.value })}
+          disabled={!connected}
+          className="bg-slate-900 text-amber-300 border border-slate-600 rounded px-2 py-1 font-mono"
+        >
+          {TIME_SIGNATURES.map(timeSignature => (
+            <option key={timeSignature} value={timeSignature}>{timeSignature}</option>
+          ))}
+        </select>
+        {!isSameTiming(timing, runningTiming) && (
+          <span className="text-amber-200 animate-pulse font-mono">NEXT BAR</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3 bg-slate-700 rounded-xl border-2 border-slate-600 px-4 py-2">
+        <label className="font-bold text-purple-300 tracking-wider" style={{ fontSize: '1.25rem' }}>CHAIN:</label>
+        <input
+          type="text"
+          value={chainText}
+          placeholder="A A B A C"
+          onChange={(e) => setChainText(e.target.value)}
+          onBlur={commitChain}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitChain();
+          }}
+          disabled={!connected}
+          className="w-40 bg-slate-900 text-pink-300 font-mono border border-slate-600 rounded px-2 py-1 uppercase"
+        />
+        <div className="flex items-center gap-1 font-mono">
+          {bank.chain.map((slot, index) => (
+            <span
+              key={index}
+              className={`px-2 py-1 rounded ${
+                index === playingChainIndex ? 'bg-cyan-500 text-slate-900' : 'bg-slate-900 text-slate-400'
+              }`}
+            >
+              {slot}
+            </span>
+          ))}
+        </div>
+        {bank.chain.length > 0 && (
+          <button
+            onClick={() => onSetChain([])}
+            disabled={!connected}
+            className="px-3 py-1 rounded bg-slate-900 text-rose-300 border border-slate-600 font-bold"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PatternBank;
@@ -0,0 +1,18 @@
+import TrackControls from './TrackControls';
+import { REVERB_CONTROLS, DELAY_CONTROLS } from '../lib/returnBuses';
+
+// Room-wide settings of the reverb and ping-pong delay that every track's sends feed
+const ReturnsPanel = ({ returns, connected, onChange }) => (
+  <div className="mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm space-y-4">
+    <div className="flex items-center gap-6">
+      <span className="font-bold text-violet-300 tracking-wider w-20">REVERB:</span>
+      <TrackControls controls={REVERB_CONTROLS} params={returns} connected={connected} onChange={onChange} />
+    </div>
+    <div className="flex items-center gap-6">
+      <span className="font-bold text-violet-300 tracking-wider w-20">PING:</span>
+      <TrackControls controls={DELAY_CONTROLS} params={returns} connected={connected} onChange={onChange} />
+    </div>
+  </div>
+);
+
+export default ReturnsPanel;
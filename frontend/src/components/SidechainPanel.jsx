@@ -0,0 +1,26 @@
+import TrackControls from './TrackControls';
+import { SIDECHAIN_CONTROLS } from '../lib/sidechain';
+
+// Room-wide sidechain: which track does the ducking, and how hard and fast.
+// Tracks choose whether they get ducked with their own DUCK switch.
+const SidechainPanel = ({ sidechain, tracks, connected, onChange }) => {
+  const sourceControl = {
+    param: 'source',
+    label: 'SOURCE',
+    options: [{ value: null, label: 'OFF' }, ...tracks.map(track => ({ value: track, label: track.toUpperCase() }))]
+  };
+
+  return (
+    <div className="flex items-center gap-6 mb-10 p-6 bg-slate-800/30 rounded-2xl border-4 border-slate-600/20 backdrop-blur-sm">
+      <span className="font-bold text-lime-300 tracking-wider w-20">DUCK:</span>
+      <TrackControls
+        controls={[sourceControl, ...SIDECHAIN_CONTROLS]}
+        params={sidechain}
+        connected={connected}
+        onChange={onChange}
+      />
+    </div>
+  );
+};
+
+export default SidechainPanel;
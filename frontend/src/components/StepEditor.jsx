@@ -0,0 +1,96 @@
+import { TRIG_RULES } from '../lib/trigConditions';
+
+const MAX_RATCHETS = 8;
+const RATCHET_RAMPS = [
+  { value: 'none', label: 'FLAT' },
+  { value: 'up', label: 'UP' },
+  { value: 'down', label: 'DOWN' }
+];
+
+// Inline editor for one step's trig condition and ratchets, shown under the track's grid
+const StepEditor = ({ track, step, condition, ratchet, connected, onConditionChange, onRatchetChange, onClose }) => {
+  const probability = condition ? condition.probability : 100;
+  const rule = condition ? condition.rule : null;
+  const ratchetCount = ratchet ? ratchet.count : 1;
+  const ratchetRamp = ratchet ? ratchet.ramp : 'none';
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mt-4 p-4 bg-slate-900/80 rounded-xl border-2 border-cyan-400/40 text-sm">
+      <span className="font-bold text-cyan-300 tracking-wider">
+        {track.toUpperCase()} STEP {step + 1}
+      </span>
+
+      <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        <label className="text-cyan-300 font-bold tracking-wider text-left">PROB:</label>
+        <input
+          type="range"
+          min="0"
+          max="100"
+          step="5"
+          value={probability}
+          onChange={(e) => onConditionChange({ probability: parseInt(e.target.value), rule })}
+          disabled={!connected}
+          className="w-28 accent-cyan-400"
+        />
+        <span className="w-12 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{probability}%</span>
+      </div>
+
+      <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        <label className="text-yellow-300 font-bold tracking-wider text-left">RULE:</label>
+        <select
+          value={rule || ''}
+          onChange={(e) => onConditionChange({ probability, rule: e.target.value || null })}
+          disabled={!connected}
+          className="w-24 bg-slate-900 text-yellow-300 border border-slate-600 rounded px-2 py-1 text-sm font-mono"
+        >
+          {TRIG_RULES.map(option => (
+            <option key={option.label} value={option.value || ''}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        <label className="text-orange-300 font-bold tracking-wider text-left">RATCHET:</label>
+        <input
+          type="range"
+          min="1"
+          max={MAX_RATCHETS}
+          value={ratchetCount}
+          onChange={(e) => onRatchetChange({ count: parseInt(e.target.value), ramp: ratchetRamp })}
+          disabled={!connected}
+          className="w-20 accent-orange-400"
+        />
+        <span className="w-8 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{ratchetCount}</span>
+        <select
+          value={ratchetRamp}
+          onChange={(e) => onRatchetChange({ count: ratchetCount, ramp: e.target.value })}
+          disabled={!connected || ratchetCount === 1}
+          className="w-20 bg-slate-900 text-orange-300 border border-slate-600 rounded px-2 py-1 text-sm font-mono"
+        >
+          {RATCHET_RAMPS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        onClick={() => {
+          onConditionChange(null);
+          onRatchetChange(null);
+        }}
+        disabled={!connected}
+        className="px-3 py-2 rounded-lg bg-slate-800 text-amber-300 border border-slate-600 font-bold"
+      >
+        RESET
+      </button>
+      <button
+        onClick={onClose}
+        className="px-3 py-2 rounded-lg bg-slate-800 text-rose-300 border border-slate-600 font-bold"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default StepEditor;
@@ -0,0 +1,75 @@
+import ModRing from './ModRing';
+
+// Header knobs for a track, drawn from its type's control schema in the track registry.
+// Range controls have min/max/step; controls with `options` render as a select.
+// `scale: 'log'` spreads a range (e.g. a filter cutoff) evenly over octaves.
+// `modulation` maps params an LFO is moving to a function giving their value right now.
+
+// Slider position (0-1) <-> value for log-scaled controls
+const toLogPosition = ({ min, max }, value) => Math.log(value / min) / Math.log(max / min);
+const fromLogPosition = ({ min, max }, position) => Math.round(min * Math.pow(max / min, position));
+
+const toPosition = (control, value) =>
+  control.scale === 'log' ? toLogPosition(control, value) : (value - control.min) / (control.max - control.min);
+
+const TrackControls = ({ controls, params, connected, onChange, modulation = {} }) => (
+  <div className="flex items-center gap-6 text-sm">
+    {controls.map(control => (
+      <div key={control.param} className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-lg border border-slate-600">
+        {control.options ? (
+          <>
+            <label className="text-yellow-300 font-bold tracking-wider w-16 text-left">{control.label}:</label>
+            <select
+              value={String(params[control.param])}
+              onChange={(e) => {
+                const option = control.options.find(option => String(option.value) === e.target.value);
+                onChange(control.param, option.value);
+              }}
+              disabled={!connected}
+              className="w-24 bg-slate-900 text-yellow-300 border border-slate-600 rounded px-2 py-1 text-sm font-mono"
+            >
+              {control.options.map(option => (
+                <option key={String(option.value)} value={String(option.value)}>{option.label}</option>
+              ))}
+            </select>
+          </>
+        ) : (
+          <>
+            <label className="text-cyan-300 font-bold tracking-wider w-16 text-left">{control.label}:</label>
+            <span className="relative flex items-center">
+              {control.scale === 'log' ? (
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.001"
+                  value={toLogPosition(control, params[control.param])}
+                  onChange={(e) => onChange(control.param, fromLogPosition(control, parseFloat(e.target.value)))}
+                  disabled={!connected}
+                  className="w-20 accent-cyan-400"
+                />
+              ) : (
+                <input
+                  type="range"
+                  min={control.min}
+                  max={control.max}
+                  step={control.step}
+                  value={params[control.param]}
+                  onChange={(e) => onChange(control.param, parseFloat(e.target.value))}
+                  disabled={!connected}
+                  className="w-20 accent-cyan-400"
+                />
+              )}
+              {modulation[control.param] && (
+                <ModRing getPosition={() => toPosition(control, modulation[control.param]())} />
+              )}
+            </span>
+            <span className="w-12 text-pink-300 font-mono bg-slate-900 px-2 py-1 rounded border border-slate-600 text-center">{params[control.param]}</span>
+          </>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+export default TrackControls;
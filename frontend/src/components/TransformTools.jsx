@@ -0,0 +1,62 @@
+// Bulk edits for one track or the whole pattern. Each button is a single message to
+// the server, so the room sees the result in one go.
+const TRANSFORM_BUTTONS = [
+  { operation: 'shift', options: { amount: -1 }, label: '◀', title: 'Nudge left (wraps round)' },
+  { operation: 'shift', options: { amount: 1 }, label: '▶', title: 'Nudge right (wraps round)' },
+  { operation: 'reverse', label: 'REV', title: 'Reverse' },
+  { operation: 'invert', label: 'INV', title: 'Swap on and off steps' },
+  { operation: 'double', label: '×2', title: 'Double the length by repeating the steps' },
+  { operation: 'halve', label: '÷2', title: 'Keep the first half' },
+  { operation: 'randomize', label: 'RAND', title: 'Random steps at the chosen density' }
+];
+
+const TransformTools = ({ label, density, canPaste, connected, onTransform, onCopy, onPaste, onDensityChange }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm">
+    {label && <span className="font-bold text-lime-300 tracking-wider mr-2">{label}</span>}
+    <button
+      onClick={onCopy}
+      className="px-3 py-1 rounded-lg bg-slate-800 text-lime-300 border border-slate-600 font-bold"
+      title="Copy to your clipboard"
+    >
+      COPY
+    </button>
+    <button
+      onClick={onPaste}
+      disabled={!connected || !canPaste}
+      className="px-3 py-1 rounded-lg bg-slate-800 text-lime-300 border border-slate-600 font-bold disabled:opacity-50"
+      title="Replace with what you copied"
+    >
+      PASTE
+    </button>
+    {TRANSFORM_BUTTONS.map(({ operation, options, label: buttonLabel, title }) => (
+      <button
+        key={buttonLabel}
+        onClick={() => onTransform(operation, operation === 'randomize' ? { density } : options)}
+        disabled={!connected}
+        className="px-3 py-1 rounded-lg bg-slate-800 text-slate-200 border border-slate-600 font-bold font-mono disabled:opacity-50"
+        title={title}
+      >
+        {buttonLabel}
+      </button>
+    ))}
+    {onDensityChange && (
+      <div className="flex items-center gap-2 bg-slate-800 px-3 py-1 rounded-lg border border-slate-600">
+        <label className="text-lime-300 font-bold tracking-wider">DENSITY:</label>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={density}
+          onChange={(e) => onDensityChange(parseFloat(e.target.value))}
+          className="w-20 accent-lime-400"
+        />
+        <span className="w-12 text-pink-300 font-mono bg-slate-900 px-1 rounded border border-slate-600 text-center">
+          {Math.round(density * 100)}%
+        </span>
+      </div>
+    )}
+  </div>
+);
+
+export default TransformTools;
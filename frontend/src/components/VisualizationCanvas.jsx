@@ -1,6 +1,8 @@
 import { useRef, useEffect } from 'react';
 
-const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground = false }) => {
+// trackColors maps each track id to its colour from the track registry. stepsPerBar and
+// beatsPerBar come from the playing pattern's resolution and time signature.
+const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, trackLengths = {}, trackColors = {}, stepsPerBar = 16, beatsPerBar = 4, isBackground = false }) => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const trackRingsRef = useRef({});
@@ -57,17 +59,18 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
       drawGrid(ctx, width, height);
 
       if (isPlaying && analyzers) {
-        // Check analyzers (only log once when missing)
-        if (!analyzers.kick && !window.analyzerWarningShown) {
+        // Draw bottom spectrum visualizations for each track with a voice,
+        // side by side across the bottom of the screen
+        const voiceTracks = Object.keys(trackLengths).filter(track => analyzers[track]);
+        if (voiceTracks.length === 0 && !window.analyzerWarningShown) {
           console.log('⚠️ Analyzers not ready yet');
           window.analyzerWarningShown = true;
         }
-        
-        // Draw bottom spectrum visualizations for each track
-        drawBottomRings(ctx, width, height, analyzers.kick || analyzers.master, 'kick');
-        drawBottomRings(ctx, width, height, analyzers.snare || analyzers.master, 'snare');
-        drawBottomRings(ctx, width, height, analyzers.hihat || analyzers.master, 'hihat');
-        drawBottomRings(ctx, width, height, analyzers.openhat || analyzers.master, 'openhat');
+        voiceTracks.forEach((track, index) => {
+          const zoneWidth = (width * 0.9) / voiceTracks.length;
+          const startX = width * 0.05 + index * zoneWidth;
+          drawBottomRings(ctx, height, analyzers[track], track, startX, startX + zoneWidth, trackColors[track] || colors.hotPink);
+        });
         
         // Master analyzer test - draw a simple indicator when ANY audio is detected
         if (analyzers.master) {
@@ -118,9 +121,12 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
         }
       }
 
-      // Pulse effect on current step
+      // Pulse effect on each track's current step
       if (currentStep !== null && isPlaying) {
-        drawStepPulse(ctx, width, height, currentStep);
+        Object.entries(trackLengths).forEach(([track, length]) => {
+          drawStepPulse(ctx, width, height, currentStep % length, length, trackColors[track] || colors.hotPink);
+        });
+        drawBarPlayhead(ctx, width, currentStep % stepsPerBar, stepsPerBar, beatsPerBar);
       }
 
       animationRef.current = requestAnimationFrame(animate);
@@ -134,7 +140,7 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [analyzers, isPlaying, currentStep]);
+  }, [analyzers, isPlaying, currentStep, trackLengths, trackColors, stepsPerBar, beatsPerBar]);
 
   // Draw retro grid overlay
   const drawGrid = (ctx, width, height) => {
@@ -159,7 +165,7 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
   };
 
   // Bottom spectrum visualizations - all tracks get frequency bars at bottom of screen
-  const drawBottomRings = (ctx, width, height, analyzer, track) => {
+  const drawBottomRings = (ctx, height, analyzer, track, startX, endX, color) => {
     if (!analyzer) return;
     
     let data;
@@ -182,28 +188,11 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
     
     if (!dataArray || dataArray.length === 0) return;
     
-    // Position spectrum bars in quarters across bottom area
-    const positions = {
-      kick: { startX: width * 0.05, endX: width * 0.25 },
-      snare: { startX: width * 0.25, endX: width * 0.5 },
-      hihat: { startX: width * 0.5, endX: width * 0.75 },
-      openhat: { startX: width * 0.75, endX: width * 0.95 }
-    };
-    
-    const { startX, endX } = positions[track];
     const zoneWidth = endX - startX;
     const barWidth = zoneWidth / Math.min(dataArray.length, 32); // Limit bars for performance
     
-    // Track-specific colors
-    const trackColors = {
-      kick: colors.neonPink,
-      snare: colors.electricGreen,
-      hihat: colors.cyan,
-      openhat: colors.electricPurple
-    };
-    
     ctx.save();
-    ctx.shadowColor = trackColors[track];
+    ctx.shadowColor = color;
     ctx.shadowBlur = 10;
     
     // Only show first 32 bars for better visualization
@@ -221,8 +210,8 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
       if (barHeight > 2) {
         // Gradient for each track
         const gradient = ctx.createLinearGradient(0, y, 0, height);
-        gradient.addColorStop(0, trackColors[track]);
-        gradient.addColorStop(1, trackColors[track] + '80'); // Semi-transparent at bottom
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, color + '80'); // Semi-transparent at bottom
         
         ctx.fillStyle = gradient;
         ctx.fillRect(x, y, barWidth - 1, barHeight);
@@ -234,14 +223,14 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
 
 
 
-  // Step pulse effect
-  const drawStepPulse = (ctx, width, height, step) => {
-    const pulseX = (step / 16) * width;
+  // Step pulse effect - tracks of different lengths sweep the screen at different rates
+  const drawStepPulse = (ctx, width, height, step, length, color) => {
+    const pulseX = (step / length) * width;
     
     ctx.save();
     ctx.globalAlpha = 0.3;
-    ctx.fillStyle = colors.hotPink;
-    ctx.shadowColor = colors.hotPink;
+    ctx.fillStyle = color;
+    ctx.shadowColor = color;
     ctx.shadowBlur = 30;
     
     // Vertical pulse line
@@ -250,6 +239,21 @@ const VisualizationCanvas = ({ analyzers, isPlaying, currentStep, isBackground =
     ctx.restore();
   };
 
+  // Position in the bar along the top edge, with a tick on every beat of the meter
+  const drawBarPlayhead = (ctx, width, step, length, beats) => {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.4)';
+    for (let beat = 0; beat < beats; beat++) {
+      ctx.fillRect((beat / beats) * width, 0, beat === 0 ? 4 : 2, beat === 0 ? 16 : 10);
+    }
+
+    ctx.fillStyle = colors.cyan;
+    ctx.shadowColor = colors.cyan;
+    ctx.shadowBlur = 12;
+    ctx.fillRect(0, 0, ((step + 1) / length) * width, 4);
+    ctx.restore();
+  };
+
   return (
     <div 
       className={isBackground ? "w-full h-full" : "w-full h-48 relative overflow-hidden"}
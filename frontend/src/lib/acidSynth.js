@@ -0,0 +1,36 @@
+import * as Tone from 'tone';
+
+// How far above the cutoff a full sweep opens the filter
+const SWEEP_OCTAVES = 5;
+
+// 303-style bass: a MonoSynth whose filter sweep height is set per note, so ENV MOD
+// and accented steps can open it by different amounts. Slides use its portamento.
+export class AcidSynth extends Tone.MonoSynth {
+  constructor(options) {
+    super({
+      oscillator: { type: 'sawtooth' },
+      envelope: { attack: 0.003, decay: 0.3, sustain: 0.6, release: 0.05 },
+      filter: { type: 'lowpass', rolloff: -24, Q: 4 },
+      filterEnvelope: { attack: 0.003, decay: 0.3, sustain: 0, release: 0.05, baseFrequency: 300, octaves: SWEEP_OCTAVES },
+      ...options
+    });
+    this.name = 'AcidSynth';
+    this._sweep = 1;
+  }
+
+  // Play a note whose filter sweep rises `sweep` (0-1) of the way up its range
+  triggerNote(frequency, duration, time, velocity, sweep) {
+    this._sweep = sweep;
+    return this.triggerAttackRelease(frequency, duration, time, velocity);
+  }
+
+  // MonoSynth's own, with the filter envelope scaled by the note's sweep
+  _triggerEnvelopeAttack(time, velocity = 1) {
+    this.envelope.triggerAttack(time, velocity);
+    this.filterEnvelope.triggerAttack(time, this._sweep);
+    this.oscillator.start(time);
+    if (this.envelope.sustain === 0) {
+      this.oscillator.stop(time + this.toSeconds(this.envelope.attack) + this.toSeconds(this.envelope.decay));
+    }
+  }
+}
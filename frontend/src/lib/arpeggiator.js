@@ -0,0 +1,51 @@
+// The arp track's arpeggiator. Its lane holds notes down - the notes on its active
+// steps in the current bar, moved into the bar's chord - and the arpeggiator walks
+// them at its own rate on the transport's grid, so every client plays the same note
+// on the same hit.
+
+export const ARP_MODES = [
+  { value: 'up', label: 'UP' },
+  { value: 'down', label: 'DOWN' },
+  { value: 'updown', label: 'UP/DN' },
+  { value: 'random', label: 'RAND' },
+  { value: 'played', label: 'PLAYED' }
+];
+
+export const ARP_RATES = [
+  { value: '4n', label: '1/4' },
+  { value: '8n', label: '1/8' },
+  { value: '16n', label: '1/16' },
+  { value: '32n', label: '1/32' },
+  { value: '8t', label: '1/8T' },
+  { value: '16t', label: '1/16T' }
+];
+
+// Held notes (MIDI, in the order they were played) spread over `octaves` octaves in
+// the order the mode walks them. Random picks from the rising order.
+export const buildArpSequence = (notes, mode, octaves = 1) => {
+  const ordered = mode === 'played' ? notes : [...notes].sort((a, b) => a - b);
+  const spread = Array.from({ length: Math.max(1, octaves) }, (_, octave) => ordered.map(midi => midi + octave * 12)).flat();
+  if (mode === 'down') return spread.reverse();
+  // Up then back down without playing the top and bottom notes twice
+  if (mode === 'updown' && spread.length > 2) return [...spread, ...spread.slice(1, -1).reverse()];
+  return spread;
+};
+
+// Integer hash, so a random arp picks the same note for a hit on every client
+const scramble = (index) => {
+  const mixed = Math.imul(index ^ 0x5bd1e995, 0x27d4eb2d);
+  return (mixed ^ (mixed >>> 15)) >>> 0;
+};
+
+// Note for the arp's `index`th hit since the transport started
+export const getArpNote = (sequence, mode, index) =>
+  sequence[(mode === 'random' ? scramble(index) : index) % sequence.length];
+
+// Indexes of the arp hits - multiples of `rateTicks` - that land in a step
+export const getArpHits = (stepStartTicks, stepTicks, rateTicks) => {
+  const hits = [];
+  for (let index = Math.ceil(stepStartTicks / rateTicks); index * rateTicks < stepStartTicks + stepTicks; index++) {
+    hits.push(index);
+  }
+  return hits;
+};
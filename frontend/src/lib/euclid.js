@@ -0,0 +1,9 @@
+// Euclidean rhythms: spread `pulses` hits as evenly as possible over `steps`,
+// then rotate the result `rotation` steps to the right.
+export const euclideanRhythm = (pulses, steps, rotation = 0) => {
+  const hits = Math.min(Math.max(pulses, 0), steps);
+  // Bresenham-style spacing gives the same necklaces as Bjorklund's algorithm
+  const rhythm = Array.from({ length: steps }, (_, i) => (i * hits) % steps < hits);
+  const shift = ((rotation % steps) + steps) % steps;
+  return rhythm.map((_, i) => rhythm[(i - shift + steps) % steps]);
+};
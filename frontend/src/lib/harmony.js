@@ -0,0 +1,85 @@
+// Key, scale and chord progression for the melodic tracks. Arp and bass notes are
+// written in C major; at playback each one is moved to the same scale degree of the
+// room's key and shifted up the scale to the root of the bar's chord.
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Pentatonic and blues scales borrow their degrees from a seven-note parent and then
+// snap to the nearest tone they actually have
+export const SCALES = {
+  major: { label: 'MAJOR', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { label: 'MINOR', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  dorian: { label: 'DORIAN', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { label: 'PHRYGIAN', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { label: 'LYDIAN', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { label: 'MIXOLYDIAN', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  harmonic_minor: { label: 'HARM MINOR', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  major_pentatonic: { label: 'MAJ PENTA', intervals: [0, 2, 4, 7, 9], parent: 'major' },
+  minor_pentatonic: { label: 'MIN PENTA', intervals: [0, 3, 5, 7, 10], parent: 'minor' },
+  blues: { label: 'BLUES', intervals: [0, 3, 5, 6, 7, 10], parent: 'minor' }
+};
+
+export const CHORD_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+export const PROGRESSION_PRESETS = [
+  'I',
+  'I vi IV V',
+  'I V vi IV',
+  'ii V I I',
+  'i VI III VII',
+  'i iv v i',
+  'I IV I V'
+];
+
+const REFERENCE_SCALE = SCALES.major.intervals;
+
+// Parse text such as "I vi IV V" (or "I-vi-IV-V") into numerals, keeping the case
+// the user typed for display - the chord quality always comes from the scale
+export const parseProgression = (text) =>
+  text.split(/[\s,–-]+/).filter(numeral => CHORD_NUMERALS.includes(numeral.toUpperCase()));
+
+// Chord of the bar a global step falls in
+export const getChordAtStep = (progression, globalStep, stepsPerBar) => {
+  if (!progression || progression.length === 0) return CHORD_NUMERALS[0];
+  return progression[Math.floor(globalStep / stepsPerBar) % progression.length];
+};
+
+// Snap a semitone offset from the root to the closest lower-or-equal tone in `intervals`
+const snapToScale = (semitones, intervals) => {
+  const octave = Math.floor(semitones / 12);
+  const pitchClass = semitones - octave * 12;
+  const snapped = [...intervals].reverse().find(interval => interval <= pitchClass);
+  return octave * 12 + snapped;
+};
+
+// Play a note written in C major in the given key, scale and chord
+export const harmonizeNote = (midi, { root = 0, scale = 'major' } = {}, chord = 'I') => {
+  const octave = Math.floor(midi / 12);
+  const pitchClass = midi % 12;
+  // Notes outside C major keep their sharp against the degree below
+  const degree = REFERENCE_SCALE.filter(interval => interval <= pitchClass).length - 1;
+  const chromatic = pitchClass - REFERENCE_SCALE[degree];
+
+  const chordDegree = Math.max(0, CHORD_NUMERALS.indexOf(String(chord).toUpperCase()));
+  const target = SCALES[scale] || SCALES.major;
+  const degreeScale = target.parent ? SCALES[target.parent].intervals : target.intervals;
+  const shifted = degree + chordDegree;
+  let semitones = Math.floor(shifted / 7) * 12 + degreeScale[shifted % 7];
+  if (target.parent) semitones = snapToScale(semitones, target.intervals);
+
+  // Keep the part near where it was written whatever the key
+  const keyOffset = root > 6 ? root - 12 : root;
+  return octave * 12 + keyOffset + semitones + chromatic;
+};
+
+// Name of the chord on a numeral in the given key, e.g. "Am" for vi in C major
+export const formatChord = (numeral, { root = 0, scale = 'major' } = {}) => {
+  const target = SCALES[scale] || SCALES.major;
+  const intervals = target.parent ? SCALES[target.parent].intervals : target.intervals;
+  const degree = Math.max(0, CHORD_NUMERALS.indexOf(String(numeral).toUpperCase()));
+  const chordRoot = intervals[degree];
+  const third = (intervals[(degree + 2) % 7] - chordRoot + 12) % 12;
+  const fifth = (intervals[(degree + 4) % 7] - chordRoot + 12) % 12;
+  const quality = third === 4 ? '' : fifth === 6 ? 'dim' : 'm';
+  return `${NOTE_NAMES[(root + chordRoot) % 12]}${quality}`;
+};
@@ -0,0 +1,75 @@
+// Drum kits: how the kick, snare and hats are built. Picking a kit swaps these synth
+// settings room-wide and resets the tracks' sound params to the kit's (KIT_PARAMS in
+// app.rb). Saved kits keep the builtin they were made from as their `base`.
+
+export const KIT_TYPES = ['kick', 'snare', 'hihat', 'openhat'];
+
+const metalHat = (decay, release, options) => ({
+  octaves: 1.5,
+  ...options,
+  envelope: { attack: 0.001, decay, release }
+});
+
+export const KITS = {
+  808: {
+    label: '808',
+    voices: {
+      kick: {
+        pitchDecay: 0.05,
+        octaves: 10,
+        oscillator: { type: 'sine' },
+        envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 1.4 }
+      },
+      snare: { bodyType: 'triangle', noiseType: 'white', pitchDrop: 2 },
+      hihat: metalHat(0.1, 0.01, { harmonicity: 5.1, modulationIndex: 32, resonance: 4000 }),
+      openhat: metalHat(0.4, 0.1, { harmonicity: 5.1, modulationIndex: 32, resonance: 4000 })
+    }
+  },
+  909: {
+    label: '909',
+    voices: {
+      kick: {
+        pitchDecay: 0.02,
+        octaves: 6,
+        oscillator: { type: 'sine' },
+        envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.5 }
+      },
+      snare: { bodyType: 'triangle', noiseType: 'white', pitchDrop: 1.5 },
+      hihat: metalHat(0.06, 0.01, { harmonicity: 5.1, modulationIndex: 40, resonance: 7000, octaves: 1 }),
+      openhat: metalHat(0.3, 0.1, { harmonicity: 5.1, modulationIndex: 40, resonance: 7000, octaves: 1 })
+    }
+  },
+  lofi: {
+    label: 'LO-FI',
+    voices: {
+      kick: {
+        pitchDecay: 0.08,
+        octaves: 4,
+        oscillator: { type: 'triangle' },
+        envelope: { attack: 0.005, decay: 0.5, sustain: 0, release: 0.8 }
+      },
+      snare: { bodyType: 'sine', noiseType: 'pink', pitchDrop: 1.2 },
+      hihat: metalHat(0.08, 0.02, { harmonicity: 3.1, modulationIndex: 16, resonance: 2500, octaves: 0.8 }),
+      openhat: metalHat(0.3, 0.1, { harmonicity: 3.1, modulationIndex: 16, resonance: 2500, octaves: 0.8 })
+    }
+  },
+  industrial: {
+    label: 'INDUSTRIAL',
+    voices: {
+      kick: {
+        pitchDecay: 0.12,
+        octaves: 12,
+        oscillator: { type: 'square' },
+        envelope: { attack: 0.001, decay: 0.6, sustain: 0.02, release: 1 }
+      },
+      snare: { bodyType: 'square', noiseType: 'white', pitchDrop: 3 },
+      hihat: metalHat(0.05, 0.01, { harmonicity: 8.3, modulationIndex: 64, resonance: 3000, octaves: 2.5 }),
+      openhat: metalHat(0.5, 0.15, { harmonicity: 8.3, modulationIndex: 64, resonance: 3000, octaves: 2.5 })
+    }
+  }
+};
+
+export const DEFAULT_KIT = { name: '808', base: '808' };
+
+// Synth settings for one of a kit's voices
+export const getKitVoice = (base, type) => (KITS[base] || KITS[DEFAULT_KIT.base]).voices[type];
@@ -0,0 +1,54 @@
+import * as Tone from 'tone';
+
+// Room-wide master settings, as the server keeps them (`master` in app.rb). EQ gains,
+// threshold and ceiling in dB; volume is a 0-1 fader like the track VOL knobs.
+export const DEFAULT_MASTER = { low: 0, mid: 0, high: 0, threshold: -18, ratio: 4, ceiling: -1, volume: 0.8 };
+
+export const MASTER_CONTROLS = [
+  { param: 'low', label: 'LOW', min: -12, max: 12, step: 1 },
+  { param: 'mid', label: 'MID', min: -12, max: 12, step: 1 },
+  { param: 'high', label: 'HIGH', min: -12, max: 12, step: 1 },
+  { param: 'threshold', label: 'THRESH', min: -60, max: 0, step: 1 },
+  { param: 'ratio', label: 'RATIO', min: 1, max: 20, step: 0.5 },
+  { param: 'ceiling', label: 'CEILING', min: -12, max: 0, step: 0.5 },
+  { param: 'volume', label: 'MASTER', min: 0, max: 1, step: 0.05 }
+];
+
+// Every track feeds this: 3-band EQ -> compressor -> brickwall limiter -> fader
+export class MasterBus extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'MasterBus';
+
+    this.eq = new Tone.EQ3({ context: this.context });
+    this.compressor = new Tone.Compressor({ context: this.context, threshold: -18, ratio: 4, attack: 0.01, release: 0.2 });
+    this.limiter = new Tone.Limiter({ context: this.context, threshold: -1 });
+    this.fader = new Tone.Gain({ context: this.context, gain: 0.8 });
+
+    this.input = this.eq;
+    this.output = this.fader;
+    this.eq.chain(this.compressor, this.limiter, this.fader);
+  }
+
+  update(master) {
+    this.eq.low.value = master.low;
+    this.eq.mid.value = master.mid;
+    this.eq.high.value = master.high;
+    this.compressor.threshold.value = master.threshold;
+    this.compressor.ratio.value = master.ratio;
+    this.limiter.threshold.value = master.ceiling;
+    this.fader.gain.rampTo(master.volume, 0.05);
+    return this;
+  }
+
+  // dB the compressor is currently taking off (0 or negative)
+  get reduction() {
+    return this.compressor.reduction;
+  }
+
+  dispose() {
+    super.dispose();
+    [this.eq, this.compressor, this.limiter, this.fader].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,210 @@
+import * as Tone from 'tone';
+
+// Room-wide modulation, as the server keeps it (`modulation` in app.rb): two to four
+// global LFOs, and routes that each move one param of one track by `amount` (-1 to 1)
+// of the param's full swing - both ways from where its knob is set.
+
+export const LFO_SHAPES = [
+  { value: 'sine', label: 'SINE' },
+  { value: 'triangle', label: 'TRI' },
+  { value: 'square', label: 'SQR' },
+  { value: 'sample_hold', label: 'S&H' }
+];
+
+export const LFO_DIVISIONS = [
+  { value: '4m', label: '4 BAR' },
+  { value: '2m', label: '2 BAR' },
+  { value: '1m', label: '1 BAR' },
+  { value: '2n', label: '1/2' },
+  { value: '4n', label: '1/4' },
+  { value: '8n', label: '1/8' },
+  { value: '16n', label: '1/16' },
+  { value: '8t', label: '1/8T' },
+  { value: '16t', label: '1/16T' }
+];
+
+export const DEFAULT_LFO = { shape: 'sine', sync: true, division: '1m', hz: 1 };
+export const MIN_LFOS = 2;
+export const MAX_LFOS = 4;
+export const MAX_MOD_ROUTES = 16;
+export const DEFAULT_MODULATION = { lfos: [DEFAULT_LFO, DEFAULT_LFO], routes: [] };
+
+// Pitch, cutoff, echo and volume are signals a route's LFO drives on the audio thread.
+// Decay, distortion and chorus depth - and a sample's SEMI - have no signal, so they're
+// moved per hit, by the LFO's value at the hit's time on the audio clock.
+export const MOD_PARAMS = [
+  { value: 'pitch', label: 'PITCH' },
+  { value: 'decay', label: 'DECAY' },
+  { value: 'cutoff', label: 'CUTOFF' },
+  { value: 'distortion', label: 'DIST' },
+  { value: 'delay', label: 'ECHO' },
+  { value: 'chorus', label: 'CHORUS' },
+  { value: 'volume', label: 'VOL' }
+];
+
+// A param's full swing: pitch, cutoff and decay move by octaves, the 0-1 levels by a share of their range
+export const MOD_DEPTHS = {
+  pitch: { octaves: 1 },
+  decay: { octaves: 2 },
+  cutoff: { octaves: 5 },
+  distortion: { range: 0.5 },
+  delay: { range: 0.5 },
+  chorus: { range: 0.5 },
+  volume: { range: 0.5 }
+};
+
+// A param's value moved by `offset` - the LFOs' output times their routes' amounts.
+// `semitones` is for a pitch param in semitones (a sample's SEMI) rather than Hz.
+export const modulateValue = (param, value, offset, semitones = false) => {
+  const { octaves, range } = MOD_DEPTHS[param];
+  if (semitones) return value + offset * octaves * 12;
+  if (octaves) return value * Math.pow(2, offset * octaves);
+  return Math.min(1, Math.max(0, value + offset * range));
+};
+
+// S&H's level for a cycle - random, but the same for a cycle on every client
+const holdLevel = (cycle) => {
+  const noise = Math.sin((cycle + 1) * 12.9898) * 43758.5453;
+  return 2 * (noise - Math.floor(noise)) - 1;
+};
+
+// -1 to 1 for a phase, in cycles since the LFO started - what Tone's oscillator types
+// put out, for reading an LFO's value without the audio thread
+const SHAPES = {
+  sine: phase => Math.sin(2 * Math.PI * phase),
+  triangle: phase => 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5),
+  square: phase => (phase % 1 < 0.5 ? 1 : -1),
+  sample_hold: phase => holdLevel(Math.floor(phase))
+};
+
+// One global LFO. Sine, triangle and square are an oscillator on the audio thread;
+// S&H is a signal given each cycle's level at the cycle's start on the audio clock. A
+// synced LFO follows the transport - it starts on the bar, goes back there when the
+// transport stops and changes speed with the tempo. A free one runs at `hz` regardless.
+// Either way it's rebuilt for a new shape, sync or division and feeds routes through
+// the same output gain.
+export class ModLfo extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'ModLfo';
+
+    this.output = new Tone.Gain({ context: this.context });
+    this._settings = null;
+    // The Tone.Oscillator, or the signal S&H holds its levels on
+    this._source = null;
+    // What sets S&H's levels - a Tone.Clock when free, a transport repeat's id when synced
+    this._clock = null;
+    this._repeat = null;
+    // Free-running phase at a point in time, moved on whenever the rate changes
+    this._phase = 0;
+    this._phaseTime = 0;
+
+    this._onTransportStop = time => this._rewind(time);
+    Tone.Transport.on('stop', this._onTransportStop);
+  }
+
+  update(settings) {
+    const previous = this._settings;
+    const now = this.now();
+    this._settings = settings;
+    if (previous && previous.shape === settings.shape && previous.sync === settings.sync) {
+      if (settings.sync && previous.division === settings.division) return this;
+      if (!settings.sync) {
+        // A new rate carries on from the current phase
+        this._phase = this._getFreePhase(now, previous.hz);
+        this._phaseTime = now;
+        (this._clock || this._source).frequency.setValueAtTime(settings.hz, now);
+        return this;
+      }
+    }
+    this._build(now);
+    return this;
+  }
+
+  _build(now) {
+    this._disposeSource();
+    const { shape, sync, division, hz } = this._settings;
+    this._phase = 0;
+    this._phaseTime = now;
+
+    if (shape === 'sample_hold') {
+      this._source = new Tone.Signal({ context: this.context, value: this.getValueAtTime(now) }).connect(this.output);
+      if (sync) {
+        this._repeat = Tone.Transport.scheduleRepeat(
+          time => this._hold(time, Math.round(this._getSyncedPhase(time))),
+          division,
+          0
+        );
+      } else {
+        this._clock = new Tone.Clock({
+          context: this.context,
+          frequency: hz,
+          callback: (time, ticks) => this._hold(time, ticks)
+        }).start(now);
+      }
+      return;
+    }
+
+    // An oscillator's -1 to 1 is already the swing a route's gain scales
+    this._source = new Tone.Oscillator({
+      context: this.context,
+      type: shape,
+      frequency: sync ? division : hz,
+      // Built while the transport runs, a synced LFO picks up where the bar has got to
+      phase: sync ? (this._getSyncedPhase(now) % 1) * 360 : 0
+    }).connect(this.output);
+    if (sync) {
+      this._source.sync().syncFrequency().start(0);
+    } else {
+      this._source.start(now);
+    }
+  }
+
+  _hold(time, cycle) {
+    this._source.setValueAtTime(holdLevel(cycle), time);
+  }
+
+  // A stopped transport is back at the start of the bar, and so are synced LFOs
+  _rewind(time) {
+    if (!this._settings || !this._settings.sync) return;
+    if (this._source instanceof Tone.Oscillator) {
+      this._source.phase = 0;
+    } else if (this._source) {
+      this._hold(time, 0);
+    }
+  }
+
+  _getSyncedPhase(time) {
+    return Tone.Transport.getTicksAtTime(time) / Tone.Time(this._settings.division).toTicks();
+  }
+
+  _getFreePhase(time, hz = this._settings.hz) {
+    return this._phase + (time - this._phaseTime) * hz;
+  }
+
+  // -1 to 1 at a time on the audio clock
+  getValueAtTime(time) {
+    const { shape, sync } = this._settings;
+    // A synced oscillator is silent while the transport's stopped
+    if (sync && shape !== 'sample_hold' && Tone.Transport.state !== 'started') return 0;
+    return SHAPES[shape](sync ? this._getSyncedPhase(time) : this._getFreePhase(time));
+  }
+
+  _disposeSource() {
+    // A synced frequency is driven from the transport's tempo until it's let go
+    if (this._source instanceof Tone.Oscillator) this._source.unsyncFrequency();
+    if (this._source) this._source.dispose();
+    if (this._clock) this._clock.dispose();
+    if (this._repeat !== null) Tone.Transport.clear(this._repeat);
+    this._source = null;
+    this._clock = null;
+    this._repeat = null;
+  }
+
+  dispose() {
+    super.dispose();
+    Tone.Transport.off('stop', this._onTransportStop);
+    this._disposeSource();
+    return this;
+  }
+}
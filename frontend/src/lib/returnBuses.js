@@ -0,0 +1,96 @@
+import * as Tone from 'tone';
+import { DELAY_DIVISIONS, getDelaySeconds } from './timing';
+
+// Settings of the room's two return buses, as the server keeps them (`returns` in
+// app.rb). Reverb decay and pre-delay in seconds, damping and delay filter in Hz.
+export const DEFAULT_RETURNS = {
+  reverb_size: 0.5,
+  reverb_decay: 2.5,
+  reverb_predelay: 0.01,
+  reverb_damping: 6000,
+  delay_division: '8n',
+  delay_feedback: 0.4,
+  delay_filter: 4000
+};
+
+export const REVERB_CONTROLS = [
+  { param: 'reverb_size', label: 'SIZE', min: 0, max: 1, step: 0.05 },
+  { param: 'reverb_decay', label: 'DECAY', min: 0.5, max: 10, step: 0.1 },
+  { param: 'reverb_predelay', label: 'PRE', min: 0, max: 0.2, step: 0.005 },
+  { param: 'reverb_damping', label: 'DAMP', min: 500, max: 20000, scale: 'log' }
+];
+
+export const DELAY_CONTROLS = [
+  {
+    param: 'delay_division',
+    label: 'TIME',
+    options: DELAY_DIVISIONS
+  },
+  { param: 'delay_feedback', label: 'FDBK', min: 0, max: 0.9, step: 0.05 },
+  { param: 'delay_filter', label: 'FILTER', min: 200, max: 20000, scale: 'log' }
+];
+
+// Seconds the reverb's reflections take to build up at full size
+const MAX_BUILD_UP = 0.1;
+
+// Shared reverb that the tracks' REVERB sends feed: pre-delay -> convolution -> damping.
+// The impulse response is regenerated only when its size or decay changes.
+export class ReverbReturn extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'ReverbReturn';
+
+    this._predelay = new Tone.Delay({ context: this.context, delayTime: 0.01, maxDelay: 0.5 });
+    this._reverb = new Tone.Reverb({ context: this.context, decay: 2.5, preDelay: 0.05, wet: 1 });
+    this._damping = new Tone.Filter({ context: this.context, type: 'lowpass', frequency: 6000 });
+
+    this.input = this._predelay;
+    this.output = this._damping;
+    this._predelay.chain(this._reverb, this._damping);
+  }
+
+  update(returns) {
+    // Tone's own preDelay is the fade-in of the generated impulse - a bigger room builds up slower
+    const buildUp = Math.max(0.005, returns.reverb_size * MAX_BUILD_UP);
+    if (this._reverb.decay !== returns.reverb_decay) this._reverb.decay = returns.reverb_decay;
+    if (this._reverb.preDelay !== buildUp) this._reverb.preDelay = buildUp;
+    this._predelay.delayTime.rampTo(returns.reverb_predelay, 0.05);
+    this._damping.frequency.rampTo(returns.reverb_damping, 0.05);
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    [this._predelay, this._reverb, this._damping].forEach(node => node.dispose());
+    return this;
+  }
+}
+
+// Shared stereo ping-pong delay that the tracks' PING sends feed, filtered on the way in.
+// Its time is a note division, so call update again with the new tempo when it changes.
+export class DelayReturn extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'DelayReturn';
+
+    this._filter = new Tone.Filter({ context: this.context, type: 'lowpass', frequency: 4000 });
+    this._delay = new Tone.PingPongDelay({ context: this.context, delayTime: '8n', feedback: 0.4, maxDelay: 4, wet: 1 });
+
+    this.input = this._filter;
+    this.output = this._delay;
+    this._filter.connect(this._delay);
+  }
+
+  update(returns, bpm) {
+    this._delay.delayTime.rampTo(getDelaySeconds(returns.delay_division, bpm), 0.05);
+    this._delay.feedback.rampTo(returns.delay_feedback, 0.05);
+    this._filter.frequency.rampTo(returns.delay_filter, 0.05);
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    [this._filter, this._delay].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,133 @@
+import * as Tone from 'tone';
+
+// Sample tracks: files are stored on the server under the SHA-256 of their contents
+// (POST /samples, GET /samples/:hash), so a file is only uploaded once and each
+// client only downloads and decodes it once.
+
+export const SAMPLE_FILE_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/mpeg', 'audio/mp3', 'audio/ogg', 'application/ogg'];
+const SAMPLE_EXTENSIONS = { wav: 'audio/wav', mp3: 'audio/mpeg', ogg: 'audio/ogg' };
+export const MAX_SAMPLE_BYTES = 10 * 1024 * 1024;
+
+// Browsers don't always fill in `type` for dropped files, so fall back to the extension
+export const getSampleMediaType = (file) => {
+  if (SAMPLE_FILE_TYPES.includes(file.type)) return file.type;
+  const extension = file.name.split('.').pop().toLowerCase();
+  return SAMPLE_EXTENSIONS[extension] || null;
+};
+
+const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Upload a file unless the server already has it, and return its hash
+export const uploadSample = async (serverUrl, file) => {
+  const mediaType = getSampleMediaType(file);
+  if (!mediaType) throw new Error(`${file.name} is not a WAV, MP3 or OGG file`);
+  if (file.size > MAX_SAMPLE_BYTES) throw new Error(`${file.name} is larger than 10 MB`);
+
+  const hash = await hashFile(file);
+  const existing = await fetch(`${serverUrl}/samples/${hash}`, { method: 'HEAD' });
+  if (existing.ok) return hash;
+
+  const response = await fetch(`${serverUrl}/samples`, {
+    method: 'POST',
+    headers: { 'Content-Type': mediaType },
+    body: file
+  });
+  if (!response.ok) throw new Error(`Upload failed (${response.status})`);
+  return (await response.json()).hash;
+};
+
+// Decoded buffers by hash, shared by every sample track on this client
+const bufferCache = new Map();
+
+export const loadSampleBuffer = (serverUrl, hash) => {
+  if (!bufferCache.has(hash)) {
+    const loading = Tone.ToneAudioBuffer.fromUrl(`${serverUrl}/samples/${hash}`);
+    // Let a failed download be retried
+    loading.catch(() => bufferCache.delete(hash));
+    bufferCache.set(hash, loading);
+  }
+  return bufferCache.get(hash);
+};
+
+// One-shot sample voice. Each hit gets its own buffer source, so hits overlap
+// like a drum machine's rather than cutting each other off.
+export class SampleVoice extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'SampleVoice';
+    // In dB, like a Tone instrument's volume, which is how the track's VOL sets it
+    this.output = new Tone.Volume({ context: this.context });
+    this.volume = this.output.volume;
+    this.buffer = new Tone.ToneAudioBuffer();
+    this._reverse = false;
+    this._sources = new Set();
+  }
+
+  // Reversing flips the buffer in place, which is why setBuffer takes a copy
+  get reverse() {
+    return this._reverse;
+  }
+
+  set reverse(reverse) {
+    this._reverse = reverse;
+    this.buffer.reverse = reverse;
+  }
+
+  setBuffer(buffer) {
+    const copy = Tone.ToneAudioBuffer.fromArray(buffer.toArray());
+    copy.reverse = this._reverse;
+    this.buffer.dispose();
+    this.buffer = copy;
+  }
+
+  // Play the trimmed region at `pitch` semitones with attack/release fades
+  trigger(time, velocity = 1, { pitch = 0, start = 0, end = 1, attack = 0, release = 0 } = {}) {
+    if (!this.buffer.loaded) return this;
+
+    const computedTime = this.toSeconds(time);
+    const playbackRate = Math.pow(2, pitch / 12);
+    const from = Math.min(start, end);
+    const to = Math.max(start, end);
+    // Trim points are measured on the forward sample
+    const offset = (this._reverse ? 1 - to : from) * this.buffer.duration;
+    const length = ((to - from) * this.buffer.duration) / playbackRate;
+    if (length <= 0) return this;
+
+    const fadeOut = Math.min(release, length);
+    const source = new Tone.ToneBufferSource({
+      context: this.context,
+      url: this.buffer,
+      playbackRate,
+      fadeIn: Math.min(attack, length - fadeOut),
+      fadeOut,
+      onended: () => {
+        this._sources.delete(source);
+        source.dispose();
+      }
+    }).connect(this.output);
+    // The release fade runs up to the end of the region
+    source.start(computedTime, offset, length - fadeOut, velocity);
+    this._sources.add(source);
+    return this;
+  }
+
+  triggerAttack(note, time, velocity) {
+    return this.trigger(time, velocity);
+  }
+
+  triggerRelease(time) {
+    this._sources.forEach(source => source.stop(time));
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._sources.forEach(source => source.dispose());
+    this._sources.clear();
+    this.buffer.dispose();
+    return this;
+  }
+}
@@ -0,0 +1,18 @@
+// Room-wide sidechain ducking, as the server keeps it (`sidechain` in app.rb). Each hit
+// on the source track dips every track with DUCK on - by `amount` of its level, over
+// `attack` seconds, then back up over `release` seconds.
+export const DEFAULT_SIDECHAIN = { source: 'kick', amount: 0.6, attack: 0.005, release: 0.2 };
+
+export const SIDECHAIN_CONTROLS = [
+  { param: 'amount', label: 'AMOUNT', min: 0, max: 1, step: 0.05 },
+  { param: 'attack', label: 'ATTACK', min: 0.001, max: 0.1, step: 0.001 },
+  { param: 'release', label: 'RELEASE', min: 0.02, max: 1, step: 0.01 }
+];
+
+// Schedule one duck on a track's duck gain for a source hit at `time`. A harder hit
+// ducks deeper; a hit landing mid-duck restarts it from wherever the gain has got to.
+export const scheduleDuck = (gain, time, velocity, { amount, attack, release }) => {
+  gain.cancelAndHoldAtTime(time);
+  gain.linearRampToValueAtTime(1 - amount * Math.min(1, velocity), time + attack);
+  gain.linearRampToValueAtTime(1, time + attack + release);
+};
@@ -0,0 +1,74 @@
+import * as Tone from 'tone';
+
+// How fast the body falls back to its pitch at the start of each hit
+const BODY_PITCH_TIME = 0.03;
+// The snare wires' noise is high-passed this far above the body's pitch
+const NOISE_PITCH_RATIO = 8;
+const MAX_NOISE_CUTOFF = 12000;
+
+// Two-part snare: a tuned body that bends down into its pitch, and high-passed noise
+// for the wires. `snappy` balances the two (0 = all body, 1 = all wires) and each part
+// has its own decay. Both sources run all the time; the envelopes gate them.
+// The kit (lib/kits.js) picks the body's waveform, the noise colour and `pitchDrop` -
+// how far above its pitch the body starts each hit.
+export class SnareVoice extends Tone.ToneAudioNode {
+  constructor({ bodyType = 'triangle', noiseType = 'white', pitchDrop = 2 } = {}) {
+    super();
+    this.name = 'SnareVoice';
+    // In dB, like a Tone instrument's volume, which is how the track's VOL sets it
+    this.output = new Tone.Volume({ context: this.context });
+    this.volume = this.output.volume;
+    this._pitchDrop = pitchDrop;
+
+    this._body = new Tone.Oscillator({ context: this.context, type: bodyType, frequency: 200 });
+    // Bends the body in cents, like a Tone synth's detune
+    this.detune = this._body.detune;
+    this._bodyEnvelope = new Tone.AmplitudeEnvelope({ context: this.context, attack: 0.001, decay: 0.2, sustain: 0, release: 0.01 });
+    this._bodyLevel = new Tone.Gain({ context: this.context, gain: 0.4 });
+
+    this._noise = new Tone.Noise({ context: this.context, type: noiseType });
+    this._noiseFilter = new Tone.Filter({ context: this.context, type: 'highpass', frequency: 1600 });
+    this._noiseEnvelope = new Tone.AmplitudeEnvelope({ context: this.context, attack: 0.001, decay: 0.15, sustain: 0, release: 0.01 });
+    this._noiseLevel = new Tone.Gain({ context: this.context, gain: 0.6 });
+
+    this._body.chain(this._bodyEnvelope, this._bodyLevel, this.output);
+    this._noise.chain(this._noiseFilter, this._noiseEnvelope, this._noiseLevel, this.output);
+    this._body.start();
+    this._noise.start();
+  }
+
+  trigger(time, velocity = 1, { pitch = 200, decay = 0.2, snappy = 0.6, snapDecay = 0.15 } = {}) {
+    const computedTime = this.toSeconds(time);
+
+    this._body.frequency.setValueAtTime(pitch * this._pitchDrop, computedTime);
+    this._body.frequency.exponentialRampToValueAtTime(pitch, computedTime + BODY_PITCH_TIME);
+    this._noiseFilter.frequency.setValueAtTime(Math.min(MAX_NOISE_CUTOFF, pitch * NOISE_PITCH_RATIO), computedTime);
+    this._bodyLevel.gain.setValueAtTime(1 - snappy, computedTime);
+    this._noiseLevel.gain.setValueAtTime(snappy, computedTime);
+
+    this._bodyEnvelope.decay = Math.max(0.01, decay);
+    this._noiseEnvelope.decay = Math.max(0.01, snapDecay);
+    this._bodyEnvelope.triggerAttack(computedTime, velocity);
+    this._noiseEnvelope.triggerAttack(computedTime, velocity);
+    return this;
+  }
+
+  triggerAttack(note, time, velocity) {
+    return this.trigger(time, velocity);
+  }
+
+  triggerRelease(time) {
+    this._bodyEnvelope.triggerRelease(time);
+    this._noiseEnvelope.triggerRelease(time);
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    [
+      this._body, this._bodyEnvelope, this._bodyLevel,
+      this._noise, this._noiseFilter, this._noiseEnvelope, this._noiseLevel
+    ].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,50 @@
+// Step resolution and time signature of a pattern (the `timing` the server keeps for
+// each slot). Together they decide how long a step is and how many steps make a bar.
+
+export const RESOLUTIONS = [
+  { value: '8n', label: '1/8', wholeNotes: 1 / 8 },
+  { value: '16n', label: '1/16', wholeNotes: 1 / 16 },
+  { value: '32n', label: '1/32', wholeNotes: 1 / 32 },
+  { value: '8t', label: '1/8T', wholeNotes: 1 / 12 },
+  { value: '16t', label: '1/16T', wholeNotes: 1 / 24 }
+];
+
+// Note values a delay's time can be synced to
+export const DELAY_DIVISIONS = [
+  { value: '4n', label: '1/4', wholeNotes: 1 / 4 },
+  { value: '8n', label: '1/8', wholeNotes: 1 / 8 },
+  { value: '8n.', label: '1/8.', wholeNotes: 3 / 16 },
+  { value: '16n', label: '1/16', wholeNotes: 1 / 16 },
+  { value: '8t', label: '1/8T', wholeNotes: 1 / 12 },
+  { value: '16t', label: '1/16T', wholeNotes: 1 / 24 }
+];
+
+export const TIME_SIGNATURES = ['4/4', '3/4', '5/4', '7/8', '6/8'];
+
+export const DEFAULT_TIMING = { resolution: '16n', time_signature: '4/4' };
+
+const getResolution = (resolution) =>
+  RESOLUTIONS.find(({ value }) => value === resolution) || RESOLUTIONS[1];
+
+// Beats per bar, e.g. 7 for 7/8
+export const getBeatsPerBar = ({ time_signature: timeSignature }) => parseInt(timeSignature.split('/')[0]);
+
+// Steps in one bar. Triplets don't always divide an eighth-note meter (7/8 in 1/8T
+// is 10.5 steps), so those bars round to the nearest whole step.
+export const getStepsPerBar = (timing) => {
+  const [beats, unit] = timing.time_signature.split('/').map(Number);
+  return Math.max(1, Math.round(beats / unit / getResolution(timing.resolution).wholeNotes));
+};
+
+// Length of one step at a tempo, for clients without a Tone transport
+export const getStepSeconds = (timing, bpm) => (240 / bpm) * getResolution(timing.resolution).wholeNotes;
+
+// Length of a delay division at a tempo. Worked out from `bpm` rather than the transport,
+// which only picks up tempo changes once it's playing.
+export const getDelaySeconds = (division, bpm) => {
+  const { wholeNotes } = DELAY_DIVISIONS.find(({ value }) => value === division) || DELAY_DIVISIONS[1];
+  return (240 / bpm) * wholeNotes;
+};
+
+export const isSameTiming = (a, b) =>
+  a.resolution === b.resolution && a.time_signature === b.time_signature;
@@ -0,0 +1,61 @@
+import * as Tone from 'tone';
+import { getDelaySeconds } from './timing';
+
+// Each track's ECHO: a tempo-synced stereo delay with a high-cut in its feedback loop,
+// so repeats get darker as they fade. In ping-pong mode the left and right lines feed
+// each other instead of themselves and only the left one takes the input, so repeats
+// bounce between the speakers. `wet` is a signal like a Tone effect's, for locks.
+export class TrackDelay extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'TrackDelay';
+
+    this.input = new Tone.Gain({ context: this.context });
+    this._dryWet = new Tone.CrossFade({ context: this.context, fade: 0 });
+    this.output = this._dryWet;
+    this.wet = this._dryWet.fade;
+
+    this._merge = new Tone.Merge({ context: this.context });
+    // One line per side: delay -> high-cut -> back into itself (`same`) or the other side (`cross`)
+    this._lines = [0, 1].map(channel => {
+      const line = {
+        in: new Tone.Gain({ context: this.context }),
+        delay: new Tone.Delay({ context: this.context, delayTime: 0.25, maxDelay: 4 }),
+        cut: new Tone.Filter({ context: this.context, type: 'lowpass', frequency: 8000 }),
+        same: new Tone.Gain({ context: this.context, gain: 0 }),
+        cross: new Tone.Gain({ context: this.context, gain: 0 })
+      };
+      this.input.connect(line.in);
+      line.in.chain(line.delay, line.cut);
+      line.cut.fan(line.same, line.cross);
+      line.cut.connect(this._merge, 0, channel);
+      line.same.connect(line.delay);
+      return line;
+    });
+    this._lines[0].cross.connect(this._lines[1].delay);
+    this._lines[1].cross.connect(this._lines[0].delay);
+
+    this.input.connect(this._dryWet.a);
+    this._merge.connect(this._dryWet.b);
+  }
+
+  // Division is a note value, so call this again with the new tempo when it changes
+  update({ division, feedback, cut, pingPong, bpm }) {
+    const delayTime = getDelaySeconds(division, bpm);
+    this._lines.forEach((line, channel) => {
+      line.delay.delayTime.rampTo(delayTime, 0.05);
+      line.cut.frequency.rampTo(cut, 0.05);
+      line.same.gain.rampTo(pingPong ? 0 : feedback, 0.05);
+      line.cross.gain.rampTo(pingPong ? feedback : 0, 0.05);
+      line.in.gain.value = pingPong && channel === 1 ? 0 : 1;
+    });
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._lines.forEach(line => Object.values(line).forEach(node => node.dispose()));
+    this._merge.dispose();
+    return this;
+  }
+}
@@ -0,0 +1,70 @@
+import * as Tone from 'tone';
+
+// How far a full envelope amount opens the filter above its cutoff
+const ENV_OCTAVES = 5;
+// Furthest `cutoffShift` can move the cutoff either way
+const MAX_SHIFT_OCTAVES = 10;
+
+// Multimode filter at the head of every voice's chain. Cutoff, resonance and envelope
+// amount are signals, so parameter locks and modulation can drive them on the audio
+// clock. The envelope sweeps the cutoff up on each hit:
+// frequency = cutoff * (1 + envelope * envAmount * (2^ENV_OCTAVES - 1))
+// `cutoffShift` moves the whole thing by octaves - LFO routes sum into it.
+export class TrackFilter extends Tone.ToneAudioNode {
+  constructor() {
+    super();
+    this.name = 'TrackFilter';
+
+    this._filter = new Tone.Filter({ context: this.context, type: 'lowpass', frequency: 20000, Q: 1 });
+    this.input = this._filter;
+    this.output = this._filter;
+
+    this.cutoff = new Tone.Signal({ context: this.context, value: 20000, units: 'frequency' });
+    this.resonance = this._filter.Q;
+    // 0-1
+    this.envAmount = new Tone.Signal({ context: this.context, value: 0 });
+    this.envelope = new Tone.Envelope({ context: this.context, attack: 0.003, decay: 0.2, sustain: 0, release: 0.05 });
+
+    this._envDepth = new Tone.Multiply({ context: this.context });
+    this._envRange = new Tone.Multiply({ context: this.context, value: Math.pow(2, ENV_OCTAVES) - 1 });
+    this._envGain = new Tone.Add({ context: this.context, value: 1 });
+    this._frequency = new Tone.Multiply({ context: this.context });
+    this.cutoffShift = new Tone.Signal({ context: this.context, value: 0 });
+    this._shiftRange = new Tone.Multiply({ context: this.context, value: 1 / MAX_SHIFT_OCTAVES });
+    this._shiftCurve = new Tone.WaveShaper({ context: this.context, mapping: x => Math.pow(2, x * MAX_SHIFT_OCTAVES), length: 4096 });
+    this._shifted = new Tone.Multiply({ context: this.context });
+
+    this.envelope.connect(this._envDepth);
+    this.envAmount.connect(this._envDepth.factor);
+    this._envDepth.chain(this._envRange, this._envGain);
+    this.cutoff.connect(this._frequency);
+    this._envGain.connect(this._frequency.factor);
+    this.cutoffShift.chain(this._shiftRange, this._shiftCurve, this._shifted.factor);
+    this._frequency.connect(this._shifted);
+    this._shifted.connect(this._filter.frequency);
+  }
+
+  get type() {
+    return this._filter.type;
+  }
+
+  set type(type) {
+    this._filter.type = type;
+  }
+
+  // Start the envelope sweep for a hit
+  trigger(time, velocity = 1, decay = 0.2) {
+    this.envelope.decay = Math.max(0.01, decay);
+    this.envelope.triggerAttack(time, velocity);
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    [
+      this._filter, this.cutoff, this.envAmount, this.envelope, this._envDepth, this._envRange, this._envGain, this._frequency,
+      this.cutoffShift, this._shiftRange, this._shiftCurve, this._shifted
+    ].forEach(node => node.dispose());
+    return this;
+  }
+}
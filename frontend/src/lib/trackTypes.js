@@ -0,0 +1,359 @@
+import * as Tone from 'tone';
+import { SampleVoice } from './samples';
+import { SnareVoice } from './snareVoice';
+import { AcidSynth } from './acidSynth';
+import { ARP_MODES, ARP_RATES } from './arpeggiator';
+import { DELAY_DIVISIONS } from './timing';
+
+// Track registry: everything the client needs to know about a kind of track - its
+// synth, how a step triggers it, the header controls it shows and its colours.
+// The server keeps the matching starting params (TRACK_TYPES in app.rb).
+
+const VOLUME = { param: 'volume', label: 'VOL', min: 0, max: 1, step: 0.1 };
+const DECAY = { param: 'decay', label: 'DECAY', min: 0.1, max: 2, step: 0.1 };
+const pitch = (min, max) => ({ param: 'pitch', label: 'PITCH', min, max, step: 1 });
+const OCTAVE = {
+  param: 'octave',
+  label: 'OCT',
+  options: [-2, -1, 0, 1, 2].map(value => ({ value, label: value > 0 ? `+${value}` : `${value}` }))
+};
+
+// Glide time for sliding bass steps
+const SLIDE_TIME = 0.06;
+
+// `delay` is the ECHO wet level; the rest set up its TrackDelay (lib/trackDelay.js)
+const EFFECT_PARAMS = {
+  distortion: 0, delay: 0, chorus: 0,
+  delay_division: '8n', delay_feedback: 0.3, delay_cut: 8000, delay_pingpong: false
+};
+
+export const ECHO_CONTROLS = [
+  { param: 'delay_division', label: 'TIME', options: DELAY_DIVISIONS },
+  { param: 'delay_feedback', label: 'FDBK', min: 0, max: 0.9, step: 0.05 },
+  { param: 'delay_cut', label: 'HI-CUT', min: 200, max: 20000, scale: 'log' },
+  {
+    param: 'delay_pingpong',
+    label: 'STEREO',
+    options: [{ value: false, label: 'MONO' }, { value: true, label: 'P.PONG' }]
+  }
+];
+
+// Every voice runs through a TrackFilter (lib/trackFilter.js), fully open by default
+const FILTER_PARAMS = { filter_type: 'lowpass', cutoff: 20000, resonance: 1, filter_env: 0 };
+
+export const FILTER_CONTROLS = [
+  {
+    param: 'filter_type',
+    label: 'FILTER',
+    options: [
+      { value: 'lowpass', label: 'LP' },
+      { value: 'highpass', label: 'HP' },
+      { value: 'bandpass', label: 'BP' }
+    ]
+  },
+  { param: 'cutoff', label: 'CUTOFF', min: 20, max: 20000, scale: 'log' },
+  { param: 'resonance', label: 'RES', min: 0.1, max: 20, step: 0.1 },
+  { param: 'filter_env', label: 'ENV', min: 0, max: 1, step: 0.05 }
+];
+
+// Every voice also feeds the shared reverb and ping-pong delay (lib/returnBuses.js),
+// and can be ducked by the room's sidechain source (lib/sidechain.js)
+const SEND_PARAMS = { reverb_send: 0, delay_send: 0, duck: false };
+
+export const SEND_CONTROLS = [
+  { param: 'reverb_send', label: 'REVERB', min: 0, max: 1, step: 0.05 },
+  { param: 'delay_send', label: 'PING', min: 0, max: 1, step: 0.05 },
+  {
+    param: 'duck',
+    label: 'DUCK',
+    options: [{ value: false, label: 'OFF' }, { value: true, label: 'ON' }]
+  }
+];
+
+const DRUM_COLORS = { fill: '#f97316', border: '#ea580c', glow: 'rgba(249, 115, 22, 0.5)' };
+
+// Pitched one-shots are triggered with their pitch and decay
+const triggerPitched = (synth, { time, velocity, params }) =>
+  synth.triggerAttackRelease(params.pitch, params.decay, time, velocity);
+
+const setEnvelopeDecay = (synth, params) => {
+  if (synth.envelope && typeof params.decay === 'number') synth.envelope.decay = params.decay;
+};
+
+const setFrequency = (synth, params) => {
+  if (synth.frequency && typeof params.pitch === 'number') synth.frequency.value = params.pitch;
+  setEnvelopeDecay(synth, params);
+};
+
+const metal = (options) => new Tone.MetalSynth({
+  harmonicity: 5.1,
+  modulationIndex: 32,
+  resonance: 4000,
+  octaves: 1.5,
+  ...options
+});
+
+// Kit voices (`kit: true`) are built from the room's drum kit - createSynth gets the
+// kit's settings for the type (lib/kits.js)
+
+export const TRACK_TYPES = {
+  kick: {
+    label: 'KICK',
+    effects: true,
+    defaultParams: { pitch: 60, decay: 0.3, volume: 0.8, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(40, 120), DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#FF10F0' },
+    kit: true,
+    createSynth: (kitVoice) => new Tone.MembraneSynth(kitVoice),
+    trigger: triggerPitched,
+    applyParams: setEnvelopeDecay
+  },
+  snare: {
+    label: 'SNARE',
+    effects: true,
+    // PITCH tunes the body and DECAY is its length; the wires have their own
+    defaultParams: {
+      pitch: 200, decay: 0.2, snappy: 0.6, snap_decay: 0.15, volume: 0.7,
+      ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS
+    },
+    controls: [
+      pitch(100, 500),
+      DECAY,
+      { param: 'snappy', label: 'SNAPPY', min: 0, max: 1, step: 0.05 },
+      { param: 'snap_decay', label: 'SNAP DEC', min: 0.05, max: 1, step: 0.05 },
+      VOLUME
+    ],
+    colors: { ...DRUM_COLORS, visual: '#39FF14' },
+    kit: true,
+    createSynth: (kitVoice) => new SnareVoice(kitVoice),
+    trigger: (voice, { time, velocity, params }) => voice.trigger(time, velocity, {
+      pitch: params.pitch,
+      decay: params.decay,
+      snappy: params.snappy,
+      snapDecay: params.snap_decay
+    })
+  },
+  hihat: {
+    label: 'HIHAT',
+    effects: true,
+    defaultParams: { pitch: 800, decay: 0.1, volume: 0.6, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(100, 2000), DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#00FFFF' },
+    kit: true,
+    createSynth: (kitVoice) => metal({ frequency: 200, ...kitVoice }),
+    trigger: triggerPitched,
+    applyParams: setFrequency
+  },
+  openhat: {
+    label: 'OPENHAT',
+    effects: true,
+    defaultParams: { pitch: 1000, decay: 0.4, volume: 0.5, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(100, 2000), DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#8A2BE2' },
+    kit: true,
+    createSynth: (kitVoice) => metal({ frequency: 200, ...kitVoice }),
+    trigger: triggerPitched,
+    applyParams: setFrequency
+  },
+  clap: {
+    label: 'CLAP',
+    effects: true,
+    defaultParams: { decay: 0.3, volume: 0.6, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#FFD700' },
+    createSynth: () => new Tone.NoiseSynth({
+      noise: { type: 'pink' },
+      envelope: { attack: 0.001, decay: 0.3, sustain: 0 }
+    }),
+    // A few quick bursts before the tail, like hands that don't quite line up
+    trigger: (synth, { time, velocity, params }) => {
+      [0, 0.011, 0.023].forEach((offset, burst) => {
+        synth.triggerAttackRelease(burst < 2 ? 0.01 : params.decay, time + offset, velocity * (burst < 2 ? 0.7 : 1));
+      });
+    }
+  },
+  tom: {
+    label: 'TOM',
+    effects: true,
+    defaultParams: { pitch: 140, decay: 0.4, volume: 0.7, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(60, 400), DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#FF4500' },
+    createSynth: () => new Tone.MembraneSynth({
+      pitchDecay: 0.08,
+      octaves: 2,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.4 }
+    }),
+    trigger: triggerPitched,
+    applyParams: setEnvelopeDecay
+  },
+  rim: {
+    label: 'RIM',
+    effects: true,
+    defaultParams: { pitch: 600, decay: 0.05, volume: 0.6, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(300, 1500), { ...DECAY, min: 0.01, max: 0.3, step: 0.01 }, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#F0E68C' },
+    createSynth: () => new Tone.MembraneSynth({
+      pitchDecay: 0.005,
+      octaves: 1,
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.05 }
+    }),
+    trigger: triggerPitched,
+    applyParams: setEnvelopeDecay
+  },
+  cowbell: {
+    label: 'COWBELL',
+    effects: true,
+    defaultParams: { pitch: 560, decay: 0.3, volume: 0.5, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS },
+    controls: [pitch(300, 1200), DECAY, VOLUME],
+    colors: { ...DRUM_COLORS, visual: '#FFA500' },
+    createSynth: () => metal({
+      frequency: 560,
+      harmonicity: 1.48,
+      modulationIndex: 2,
+      resonance: 900,
+      octaves: 0.5,
+      envelope: { attack: 0.001, decay: 0.3, release: 0.05 }
+    }),
+    trigger: triggerPitched,
+    applyParams: setFrequency
+  },
+  sample: {
+    label: 'SAMPLE',
+    effects: true,
+    // Plays a dropped audio file, shared with the room by its hash (params.sample)
+    sample: true,
+    defaultParams: {
+      pitch: 0, start: 0, end: 1, reverse: false, attack: 0.005, release: 0.05, volume: 0.8,
+      sample: null, sample_name: null, ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS
+    },
+    controls: [
+      { ...pitch(-24, 24), label: 'SEMI' },
+      { param: 'start', label: 'START', min: 0, max: 1, step: 0.01 },
+      { param: 'end', label: 'END', min: 0, max: 1, step: 0.01 },
+      {
+        param: 'reverse',
+        label: 'DIR',
+        options: [{ value: false, label: 'FWD' }, { value: true, label: 'REV' }]
+      },
+      { param: 'attack', label: 'ATTACK', min: 0, max: 0.5, step: 0.005 },
+      { param: 'release', label: 'RELEASE', min: 0, max: 1, step: 0.01 },
+      VOLUME
+    ],
+    colors: { ...DRUM_COLORS, visual: '#7FFFD4' },
+    createSynth: () => new SampleVoice(),
+    trigger: (voice, { time, velocity, params }) => voice.trigger(time, velocity, params),
+    applyParams: (voice, params) => {
+      voice.reverse = Boolean(params.reverse);
+    }
+  },
+  accent: {
+    label: 'ACCENT',
+    // Not a voice - its steps boost every other track
+    defaultParams: { amount: 0.5 },
+    controls: [{ param: 'amount', label: 'AMOUNT', min: 0, max: 1, step: 0.1 }],
+    colors: { fill: '#ef4444', border: '#dc2626', glow: 'rgba(239, 68, 68, 0.5)', visual: '#FF69B4' }
+  },
+  arp: {
+    label: 'ARP',
+    effects: true,
+    melodic: true,
+    // Steps hold notes for the arpeggiator (lib/arpeggiator.js) rather than playing them
+    arpeggiator: true,
+    defaultNote: 60,
+    noteLength: '8n',
+    defaultParams: {
+      volume: 0.3, waveform: 'triangle', octave: 0,
+      arp_mode: 'up', arp_rate: '16n', arp_octaves: 1, arp_gate: 0.5, arp_latch: false,
+      ...EFFECT_PARAMS, ...FILTER_PARAMS, ...SEND_PARAMS, duck: true
+    },
+    controls: [
+      VOLUME,
+      {
+        param: 'waveform',
+        label: 'WAVE',
+        options: [
+          { value: 'sine', label: 'SINE' },
+          { value: 'triangle', label: 'TRI' },
+          { value: 'square', label: 'SQR' },
+          { value: 'sawtooth', label: 'SAW' }
+        ]
+      },
+      OCTAVE,
+      { param: 'arp_mode', label: 'MODE', options: ARP_MODES },
+      { param: 'arp_rate', label: 'RATE', options: ARP_RATES },
+      { param: 'arp_octaves', label: 'RANGE', min: 1, max: 4, step: 1 },
+      { param: 'arp_gate', label: 'GATE', min: 0.1, max: 1, step: 0.05 },
+      {
+        param: 'arp_latch',
+        label: 'LATCH',
+        options: [{ value: false, label: 'OFF' }, { value: true, label: 'ON' }]
+      }
+    ],
+    colors: { fill: '#10b981', border: '#059669', glow: 'rgba(16, 185, 129, 0.5)', visual: '#40E0D0' },
+    // Arpeggio synth - bright, sparkly sound
+    createSynth: () => new Tone.PolySynth(Tone.Synth, {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.1, decay: 0.3, sustain: 0.3, release: 0.8 }
+    }),
+    trigger: (synth, { time, velocity, note }) => synth.triggerAttackRelease(note.frequency, note.duration, time, velocity),
+    applyParams: (synth, params) => {
+      if (params.waveform) synth.set({ oscillator: { type: params.waveform } });
+    }
+  },
+  bass: {
+    label: 'BASS',
+    melodic: true,
+    // Mono, so a step can glide from the note before
+    slide: true,
+    defaultNote: 36,
+    noteLength: '4n',
+    // 303-style voice: its own resonant filter (ACID/RESO) swept by ENV MOD over DECAY.
+    // Steps on the accent lane sweep it further by ACCENT.
+    defaultParams: {
+      volume: 0.4, octave: 0, waveform: 'sawtooth', acid_cutoff: 300, acid_res: 4, env_mod: 0.4, decay: 0.3, accent: 0.5,
+      ...FILTER_PARAMS, ...SEND_PARAMS, duck: true
+    },
+    controls: [
+      VOLUME,
+      OCTAVE,
+      {
+        param: 'waveform',
+        label: 'WAVE',
+        options: [{ value: 'sawtooth', label: 'SAW' }, { value: 'square', label: 'SQUARE' }]
+      },
+      { param: 'acid_cutoff', label: 'ACID', min: 30, max: 5000, scale: 'log' },
+      { param: 'acid_res', label: 'RESO', min: 0.5, max: 25, step: 0.5 },
+      { param: 'env_mod', label: 'ENV MOD', min: 0, max: 1, step: 0.05 },
+      { param: 'decay', label: 'DECAY', min: 0.05, max: 2, step: 0.05 },
+      { param: 'accent', label: 'ACCENT', min: 0, max: 1, step: 0.05 }
+    ],
+    colors: { fill: '#8b5cf6', border: '#7c3aed', glow: 'rgba(139, 92, 246, 0.5)', visual: '#DA70D6' },
+    createSynth: () => new AcidSynth(),
+    trigger: (synth, { time, velocity, params, note, accented }) => {
+      if (note.slide) {
+        // Glide the held note instead of retriggering the envelope
+        synth.portamento = SLIDE_TIME;
+        synth.setNote(note.frequency, time);
+      } else {
+        synth.portamento = 0;
+        // Set per note rather than in applyParams so a locked DECAY holds for its step
+        synth.filterEnvelope.decay = params.decay;
+        const sweep = Math.min(1, params.env_mod + (accented ? params.accent : 0));
+        synth.triggerNote(note.frequency, note.duration, time, velocity, sweep);
+      }
+    },
+    applyParams: (synth, params) => {
+      if (params.waveform) synth.oscillator.type = params.waveform;
+      if (typeof params.acid_cutoff === 'number') synth.filterEnvelope.baseFrequency = params.acid_cutoff;
+      if (typeof params.acid_res === 'number') synth.filter.Q.value = params.acid_res;
+    }
+  }
+};
+
+// The room's starting tracks, each with its type's name as id
+export const DEFAULT_TRACK_TYPES = ['kick', 'snare', 'hihat', 'openhat', 'accent', 'arp', 'bass'];
+
+// Types users can add from the ADD TRACK menu - the accent lane is always there once
+export const ADDABLE_TRACK_TYPES = Object.keys(TRACK_TYPES).filter(type => type !== 'accent');
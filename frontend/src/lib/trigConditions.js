@@ -0,0 +1,64 @@
+// Elektron-style trig conditions. A condition is { probability, rule } where
+// probability is 0-100 and rule is null, 'first', 'fill', '!fill' or 'A:B'
+// (play on the Ath of every B loops of the track).
+
+const MAX_LOOP_RULE = 8;
+
+export const TRIG_RULES = [
+  { value: null, label: 'ALWAYS' },
+  { value: 'first', label: '1ST' },
+  { value: 'fill', label: 'FILL' },
+  { value: '!fill', label: '!FILL' },
+  ...Array.from({ length: MAX_LOOP_RULE - 1 }, (_, i) => i + 2).flatMap(every =>
+    Array.from({ length: every }, (_, i) => {
+      const rule = `${i + 1}:${every}`;
+      return { value: rule, label: rule };
+    })
+  )
+];
+
+// FNV-1a hash of a string, used to build per-step seeds
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// One draw of mulberry32 - the same seed gives the same number on every client
+const seededRandom = (seed) => {
+  let t = (seed + 0x6D2B79F5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Decide whether a step plays. The probability roll is seeded from the track, step
+// and loop counter rather than Math.random so every audio client in a room agrees.
+export const shouldTrigger = (condition, { track, step, loop, fill }) => {
+  if (!condition) return true;
+
+  const { probability = 100, rule } = condition;
+  if (rule === 'first' && loop !== 0) return false;
+  if (rule === 'fill' && !fill) return false;
+  if (rule === '!fill' && fill) return false;
+  if (rule && rule.includes(':')) {
+    const [nth, every] = rule.split(':').map(Number);
+    if (loop % every !== nth - 1) return false;
+  }
+
+  if (probability >= 100) return true;
+  return seededRandom(hashString(`${track}:${step}:${loop}`)) * 100 < probability;
+};
+
+// Short label for a step badge, e.g. "50%", "1:2" or "FILL 75%"
+export const formatCondition = (condition) => {
+  if (!condition) return '';
+  const rule = TRIG_RULES.find(option => option.value === condition.rule);
+  const parts = [];
+  if (condition.rule && rule) parts.push(rule.label);
+  if (condition.probability < 100) parts.push(`${condition.probability}%`);
+  return parts.join(' ');
+};
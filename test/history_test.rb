@@ -0,0 +1,63 @@
+require 'minitest/autorun'
+require_relative '../app'
+
+# Undo and redo of recorded edits - record_history and revert_history
+class HistoryTest < Minitest::Test
+  INITIAL_STATE = Marshal.load(Marshal.dump($drum_pattern))
+
+  def setup
+    $drum_pattern = Marshal.load(Marshal.dump(INITIAL_STATE))
+    $history.clear
+    @app = Sinatra::Application.new!
+  end
+
+  def kick
+    $drum_pattern[:tracks][:kick]
+  end
+
+  # Run an edit the way the socket handler does, recording it as `action`
+  def edit(action)
+    before = @app.editable_state
+    yield
+    @app.record_history(nil, action, before)
+    $history.last
+  end
+
+  def test_knob_move_records_only_the_param_it_changed
+    params = kick[:params].dup
+    entry = edit('update_params') { @app.merge_params(kick[:params], { 'decay' => 0.7, 'unknown' => 1 }) }
+
+    assert_equal [{ path: %i[tracks kick params decay], before: 0.3, after: 0.7 }], entry[:changes]
+    @app.revert_history(entry, true)
+    assert_equal params, kick[:params]
+  end
+
+  def test_undoing_a_first_sample_load_leaves_the_track_able_to_take_one
+    $drum_pattern[:tracks][:sample1] = new_track('sample')
+    sample = $drum_pattern[:tracks][:sample1][:params]
+    entry = edit('update_params') { @app.merge_params(sample, { 'sample' => 'abc', 'sample_name' => 'clap.wav' }) }
+
+    @app.revert_history(entry, true)
+    assert_nil sample[:sample]
+    assert sample.key?(:sample)
+    @app.merge_params(sample, { 'sample' => 'def' })
+    assert_equal 'def', sample[:sample]
+  end
+
+  def test_undo_puts_back_steps_in_the_same_slot
+    kick[:pattern][0] = 1.0
+    entry = edit('clear_pattern') { $drum_pattern[:tracks].each_value { |track_data| @app.clear_steps(track_data) } }
+
+    @app.revert_history(entry, true)
+    assert_equal 1.0, kick[:pattern][0]
+  end
+
+  def test_undo_leaves_another_slot_alone
+    kick[:pattern][0] = 1.0
+    entry = edit('clear_pattern') { $drum_pattern[:tracks].each_value { |track_data| @app.clear_steps(track_data) } }
+    @app.activate_slot('B')
+
+    @app.revert_history(entry, true)
+    assert_equal Array.new(kick[:length], false), kick[:pattern]
+  end
+end